@@ -25,21 +25,33 @@
 
 import fs from "fs";
 import path from "path";
-import { fileURLToPath } from "url";
-import axios from "axios";
 import yargs from "yargs";
-import { hideBin } from "yargs/helpers";
+import { hideBin, Parser } from "yargs/helpers";
 import dotenv from "dotenv";
-import pLimit from "p-limit";
-import pRetry from "p-retry";
-import cliProgress from "cli-progress";
 import prettyBytes from "pretty-bytes";
-import sanitize from "sanitize-filename";
-import { spawn } from "child_process";
+import readline from "readline/promises";
+import { createClient, DEFAULT_OPTIONS } from "./lib/client.js";
+import { consolePrint, loggerFactory } from "./lib/log.js";
+import { attachJsonProgress, createDashboard } from "./lib/progress.js";
+import { createJournal, openJournal } from "./lib/journal.js";
+import { followSeries, loadSubscriptions, syncSubscriptions, unfollowSeries } from "./lib/subscriptions.js";
+import { chooseBaseTitle, parseBaseUrl, parseDuration, parseSize, uniqStrings } from "./lib/helpers.js";
+import { parseQualitySelector } from "./lib/quality.js";
+import { parseFpsRatio } from "./lib/subtitles.js";
+import { checkProxyUrl, DEFAULT_USER_AGENT, parseHeaders } from "./lib/http.js";
+import { parseRateSchedule } from "./lib/throttle.js";
+import { writeReport } from "./lib/report.js";
+import { postWebhook, runHook, runHookVars } from "./lib/hooks.js";
+import { createQueue, QUEUE_FILE } from "./lib/queue.js";
+import { createApiServer } from "./lib/server.js";
+import { configDir, loadConfig, mergeLayers } from "./lib/config.js";
+import { parseCacheTtl } from "./lib/cache.js";
+import { checkTemplate, TEMPLATE_VARS } from "./lib/template.js";
+import { authFile, loadToken, removeToken, saveToken } from "./lib/auth.js";
+import { startReplayServer } from "./lib/replay.js";
+import { createPlan, preflight, readPlan, writePlan } from "./lib/plan.js";
 
 dotenv.config();
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
 /* ============================================
  * 🔧 Environment defaults & helpers
@@ -47,7 +59,7 @@ const __dirname = path.dirname(__filename);
 const ENV = {
   BASE_URL: (process.env.BASE_URL || "").replace(/\/+$/, ""),
   OUTPUT_DIR: process.env.OUTPUT_DIR || "downloads",
-  DEFAULT_QUALITY: process.env.DEFAULT_QUALITY || "mp4-1080",
+  DEFAULT_QUALITY: process.env.DEFAULT_QUALITY || DEFAULT_OPTIONS.quality,
   CONCURRENCY: Number(process.env.CONCURRENCY || 4),
   LOG_LEVEL: (process.env.LOG_LEVEL || "info").toLowerCase(),
   RETRY_COUNT: Number(process.env.RETRY_COUNT || 3),
@@ -56,631 +68,819 @@ const ENV = {
   OVERWRITE: String(process.env.OVERWRITE || "false").toLowerCase() === "true",
   SERIES_EP_ENDPOINT: process.env.SERIES_EP_ENDPOINT || null,
   SERIES_EP_SEASON_PARAM: process.env.SERIES_EP_SEASON_PARAM || null,
+  SEARCH_ENDPOINT: process.env.SEARCH_ENDPOINT || DEFAULT_OPTIONS.searchEndpoint,
   DISCOVER_LANGS: process.env.DISCOVER_LANGS || "ar,en",
   DISCOVER_LEVELS: process.env.DISCOVER_LEVELS || "0,1,2,3",
-  USER_AGENT: process.env.USER_AGENT ||
-    "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36"
+  CONNECTIONS: Number(process.env.CONNECTIONS || 1),
+  LIMIT_RATE: process.env.LIMIT_RATE || null,
+  API_RATE: Number(process.env.API_RATE || DEFAULT_OPTIONS.apiRate),
+  API_CONCURRENCY: Number(process.env.API_CONCURRENCY || DEFAULT_OPTIONS.apiConcurrency),
+  API_RETRIES: Number(process.env.API_RETRIES || DEFAULT_OPTIONS.apiRetries),
+  USER_AGENT: process.env.USER_AGENT || DEFAULT_USER_AGENT,
+  SERVE_PORT: Number(process.env.SERVE_PORT || 8750),
+  SERVE_TOKEN: process.env.SERVE_TOKEN || null,
+  AUTH_TOKEN: process.env.CIN_DL_TOKEN || null,
+  CACHE_TTL: parseCacheTtl(process.env.CACHE_TTL)
 };
 
-const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
-function loggerFactory(level) {
-  const cur = LOG_LEVELS[level] ?? 2;
-  const stamp = () => new Date().toISOString();
-  return {
-    error: (...a) => cur >= 0 && console.error(`[${stamp()}] \x1b[31mERROR\x1b[0m`, ...a),
-    warn:  (...a) => cur >= 1 && console.warn(`[${stamp()}] \x1b[33mWARN \x1b[0m`, ...a),
-    info:  (...a) => cur >= 2 && console.log(`[${stamp()}] \x1b[36mINFO \x1b[0m`, ...a),
-    debug: (...a) => cur >= 3 && console.log(`[${stamp()}] \x1b[2mDEBUG\x1b[0m`, ...a)
-  };
-}
-const log = loggerFactory(ENV.LOG_LEVEL);
+// log lines pass through here so the dashboard can keep them above its bars
+let printLog = consolePrint;
+const log = loggerFactory(ENV.LOG_LEVEL, { print: (line, level) => printLog(line, level) });
+
+/* ---- exit codes, so scheduled jobs can tell outcomes apart ---- */
+const EXIT = { OK: 0, FATAL: 1, PARTIAL: 2, FAILED: 3, NO_INPUT: 4, CANCELLED: 130 };
 
 /* ============================================
- * 🧰 CLI
+ * 🗂️ Config file
  * ============================================ */
-const argv = yargs(hideBin(process.argv))
-  .option("base-url", {
-    type: "string",
-    default: ENV.BASE_URL,
-    describe: "API base, e.g., https://cinemana.shabakaty.com/api",
-    demandOption: !ENV.BASE_URL
-  })
-  .option("output", {
-    type: "string",
-    default: ENV.OUTPUT_DIR,
-    describe: "Output folder"
-  })
-  .option("movie", {
-    type: "array",
-    describe: "Movie/Episode ID(s) to download (repeatable)"
-  })
-  .option("from-video", {
-    type: "array",
-    describe: "Episode id(s) → discover & download FULL series they belong to"
-  })
-  .option("series", {
-    type: "array",
-    describe: "Root series ID(s) to download (discovers all episodes automatically)"
-  })
-  .option("season", {
-    type: "array",
-    describe: "Optional season filter(s) used with --from-video / --series (e.g., --season 1 --season 3)"
-  })
-  .option("ids-file", {
-    type: "string",
-    describe: "Text file with IDs (one per line; # for comments)"
-  })
-  .option("quality", {
-    type: "string",
-    default: ENV.DEFAULT_QUALITY,
-    describe: "Preferred quality name (e.g., mp4-1080, mp4-720, m480)"
-  })
-  .option("concurrency", {
-    type: "number",
-    default: ENV.CONCURRENCY,
-    describe: "Concurrent downloads across IDs"
-  })
-  .option("skip-existing", {
-    type: "boolean",
-    default: !ENV.OVERWRITE,
-    describe: "Skip if target file exists (size not verified)"
-  })
-  .option("overwrite", {
-    type: "boolean",
-    default: ENV.OVERWRITE,
-    describe: "Force overwrite existing files"
-  })
-  .option("mux-subs", {
-    type: "boolean",
-    default: false,
-    describe: "Attach subtitles into MKV without re-encode (requires ffmpeg)"
-  })
-  .option("burn-subs", {
-    type: "boolean",
-    default: false,
-    describe: "Burn first subtitle into video (re-encode, requires ffmpeg)"
-  })
-  .option("ffmpeg", {
-    type: "string",
-    default: process.env.FFMPEG_PATH || "ffmpeg",
-    describe: "Path to ffmpeg binary"
-  })
-  .option("structure", {
-    type: "string",
-    default: "flat",
-    choices: ["flat", "series"],
-    describe: 'Output layout: "flat" or "series" (Show/Sxx/...)'
-  })
-  .option("subs", {
-    type: "string",
-    describe: "Comma-separated subtitle languages to download (e.g., ar,en). Default: all available"
-  })
-  .option("subs-format", {
-    type: "string",
-    default: "both",
-    choices: ["srt", "vtt", "both"],
-    describe: "Preferred subtitle format when multiple available"
-  })
-  .option("dry-run", {
-    type: "boolean",
-    default: false,
-    describe: "Plan only: print what would be downloaded and exit"
-  })
-  .option("name-template", {
-    type: "string",
-    default: "{title}.{quality}",
-    describe: "Filename template (no extension). Vars: {title},{quality},{season},{episode}"
-  })
-  .option("progress", {
-    type: "string",
-    default: "auto",
-    choices: ["auto", "none"],
-    describe: "Progress display mode"
-  })
-  .option("no-cache", {
-    type: "boolean",
-    default: false,
-    describe: "Disable series discovery cache"
-  })
-  .help()
-  .strict()
-  .argv;
+// options a config file may set; ids, commands and one-off actions stay on the command line
+const CONFIG_OPTIONS = [
+  "base-url", "output", "quality", "max-filesize", "concurrency", "connections", "limit-rate", "skip-existing", "trust-existing",
+  "overwrite", "mux-subs", "default-sub", "mux-replace", "burn-subs", "burn-lang", "ffmpeg", "structure", "subs", "subs-format",
+  "subs-raw", "subs-encoding", "subs-bom", "subs-offset", "subs-fps", "metadata", "name-template", "dir-template", "exec-after-file",
+  "exec-after-run", "webhook", "hook-timeout", "report-format", "progress", "interval", "cache", "proxy",
+  "cookies", "api-rate", "api-concurrency", "max-total-size"
+];
+// the subset that can differ between series of one run
+const SERIES_OPTIONS = [
+  "output", "quality", "max-filesize", "connections", "skip-existing", "trust-existing", "overwrite", "mux-subs", "default-sub",
+  "mux-replace", "burn-subs", "burn-lang", "structure", "subs", "subs-format", "subs-raw", "subs-encoding", "subs-bom",
+  "subs-offset", "subs-fps", "metadata", "name-template", "dir-template"
+];
+// .env variables behind option defaults, for `config show`
+const ENV_SOURCES = {
+  "base-url": "BASE_URL", output: "OUTPUT_DIR", quality: "DEFAULT_QUALITY", concurrency: "CONCURRENCY", connections: "CONNECTIONS",
+  "limit-rate": "LIMIT_RATE", "api-rate": "API_RATE", "api-concurrency": "API_CONCURRENCY", "skip-existing": "OVERWRITE", overwrite: "OVERWRITE", ffmpeg: "FFMPEG_PATH"
+};
+
+const rawArgs = hideBin(process.argv);
+// flags actually typed; --config/--profile are needed before the full parse
+const explicitArgs = Parser(rawArgs, { string: ["config", "profile"] });
+let config;
+try {
+  config = loadConfig({
+    file: explicitArgs.config || process.env.CIN_DL_CONFIG || null,
+    profile: explicitArgs.profile || null,
+    allowed: CONFIG_OPTIONS,
+    seriesAllowed: SERIES_OPTIONS
+  });
+} catch (e) {
+  console.error(`Fatal: ${e.message}`);
+  process.exit(EXIT.FATAL);
+}
+const configLayers = mergeLayers(config.layers);
 
 /* ============================================
- * 🌐 HTTP client
+ * 🧰 CLI
  * ============================================ */
-const http = axios.create({
-  baseURL: argv["base-url"],
-  timeout: ENV.TIMEOUT * 1000,
-  maxRedirects: 5,
-  validateStatus: (s) => s >= 200 && s < 400,
-  headers: {
-    "User-Agent": ENV.USER_AGENT,
-    "Accept": "application/json, text/plain, */*"
-  }
-});
+/* ---- also run once per config "series" entry, so its values get the same checks and coercion ---- */
+function parseArgs(configValues) {
+  return yargs(rawArgs)
+    .config(configValues)
+    .command("subscribe <action> [id]", "Manage followed series: add | remove | list", (y) => y
+      .positional("action", { choices: ["add", "remove", "list"] })
+      .positional("id", { type: "string", describe: "Root series id" }))
+    .command("search <query>", "Search titles by name (use --pick to download a match)", (y) => y
+      .positional("query", { type: "string", describe: "Title to look for (ar or en)" }))
+    .command("sync", "Download new episodes of every followed series once")
+    .command("watch", "Poll followed series forever and download new episodes")
+    .command("serve", "Run a download queue with an HTTP API (enqueue, status, cancel, priority, SSE progress)", (y) => y
+      .option("port", { type: "number", default: ENV.SERVE_PORT, describe: "Port to listen on" })
+      .option("host", { type: "string", default: "127.0.0.1", describe: "Address to bind (0.0.0.0 to accept other machines)" })
+      .option("token", { type: "string", default: ENV.SERVE_TOKEN ?? undefined, describe: "Require this bearer token on every request" }))
+    .command("cache <action> [id]", "Inspect the API cache: list | show <id> | clear [id] | refresh <seriesId>", (y) => y
+      .positional("action", { choices: ["list", "show", "clear", "refresh"] })
+      .positional("id", { type: "string", describe: "Movie, episode or series id" }))
+    .command("config <action> [id]", "Show the effective settings and where each comes from (with an id: for that series)", (y) => y
+      .positional("action", { choices: ["show"] })
+      .positional("id", { type: "string", describe: "Series id with overrides in the config file" }))
+    .command("login", "Store an account token for --base-url; it is sent with every API call", (y) => y
+      .option("token", { type: "string", describe: "The token (default: prompt, or read it from stdin)" }))
+    .command("logout", "Forget the stored account token for --base-url")
+    .command("verify <dir>", "Re-check a downloaded library against the server (use --repair to fix it)", (y) => y
+      .positional("dir", { type: "string", describe: "Library folder (searched recursively for sidecar .json files)" }))
+    .option("config", {
+      type: "string",
+      describe: "Config file (default: ~/.config/cin-dl/config.yaml|yml|json, or CIN_DL_CONFIG)"
+    })
+    .option("profile", {
+      type: "string",
+      describe: "Apply a named profile from the config file"
+    })
+    .option("base-url", {
+      type: "string",
+      // undefined, not "", so a missing one is reported as missing
+      default: ENV.BASE_URL || undefined,
+      describe: "API base, e.g., https://cinemana.shabakaty.com/api",
+      demandOption: !ENV.BASE_URL && !explicitArgs.replay && !explicitArgs["plan-in"],
+      coerce: (v) => (v == null ? v : parseBaseUrl(v))
+    })
+    .option("output", {
+      type: "string",
+      default: ENV.OUTPUT_DIR,
+      describe: "Output folder"
+    })
+    .option("movie", {
+      type: "array",
+      describe: "Movie/Episode ID(s) to download (repeatable)"
+    })
+    .option("from-video", {
+      type: "array",
+      describe: "Episode id(s) → discover & download FULL series they belong to"
+    })
+    .option("series", {
+      type: "array",
+      describe: "Root series ID(s) to download (discovers all episodes automatically)"
+    })
+    .option("season", {
+      type: "array",
+      describe: "Optional season filter(s) used with --from-video / --series (e.g., --season 1 --season 3)"
+    })
+    .option("ids-file", {
+      type: "string",
+      describe: "Text file with IDs (one per line; # for comments)"
+    })
+    .option("quality", {
+      type: "string",
+      default: ENV.DEFAULT_QUALITY,
+      describe: 'Quality selector: a name (mp4-720), a height (720p), best/worst, filters like best[height<=720], fallbacks with "/" (720p/480p/best)',
+      coerce: (v) => { parseQualitySelector(v); return v; }
+    })
+    .option("max-filesize", {
+      type: "string",
+      describe: "Never pick a quality larger than this (e.g., 700M, 1.5G); sizes are probed first",
+      coerce: (v) => (v == null ? v : parseSize(v))
+    })
+    .option("list-qualities", {
+      type: "string",
+      describe: "Print every quality of a movie/episode id (resolution, container, size) and exit"
+    })
+    .option("concurrency", {
+      type: "number",
+      default: ENV.CONCURRENCY,
+      describe: "Concurrent downloads across IDs"
+    })
+    .option("connections", {
+      type: "number",
+      default: ENV.CONNECTIONS,
+      describe: "Parallel byte-range connections per video file (1 = single stream)"
+    })
+    .option("limit-rate", {
+      type: "string",
+      default: ENV.LIMIT_RATE,
+      describe: 'Total bandwidth cap for all downloads (e.g., 5M, 500K), optionally scheduled: "2M,00:00-07:00=unlimited"',
+      coerce: (v) => { parseRateSchedule(v); return v; }
+    })
+    .option("api-rate", {
+      type: "number",
+      default: ENV.API_RATE,
+      describe: "Max API requests started per second (0 = no limit); downloads aren't affected"
+    })
+    .option("api-concurrency", {
+      type: "number",
+      default: ENV.API_CONCURRENCY,
+      describe: "Max API requests in flight at once, independent of --concurrency"
+    })
+    .option("skip-existing", {
+      type: "boolean",
+      default: !ENV.OVERWRITE,
+      describe: "Skip if target file exists and matches the server's size/ETag (a short file is resumed)"
+    })
+    .option("trust-existing", {
+      type: "boolean",
+      default: false,
+      describe: "With --skip-existing: keep existing files without asking the server"
+    })
+    .option("overwrite", {
+      type: "boolean",
+      default: ENV.OVERWRITE,
+      describe: "Force overwrite existing files"
+    })
+    .option("mux-subs", {
+      type: "boolean",
+      default: false,
+      describe: "Attach every subtitle language into an MKV with language tags, without re-encode (requires ffmpeg)"
+    })
+    .option("default-sub", {
+      type: "string",
+      describe: "With --mux-subs: language of the track players should show by default (e.g., ar)",
+      coerce: (v) => v.trim().toLowerCase()
+    })
+    .option("mux-replace", {
+      type: "boolean",
+      default: false,
+      describe: "With --mux-subs: the MKV replaces the original video (<name>.mkv)"
+    })
+    .option("burn-subs", {
+      type: "boolean",
+      default: false,
+      describe: "Burn a subtitle into video (re-encode, requires ffmpeg); the first one unless --burn-lang"
+    })
+    .option("burn-lang", {
+      type: "string",
+      describe: "Language of the subtitle to burn (implies --burn-subs)",
+      coerce: (v) => v.trim().toLowerCase()
+    })
+    .option("ffmpeg", {
+      type: "string",
+      default: process.env.FFMPEG_PATH || "ffmpeg",
+      describe: "Path to ffmpeg binary"
+    })
+    .option("structure", {
+      type: "string",
+      default: "flat",
+      choices: ["flat", "series"],
+      describe: 'Output layout: "flat" or "series" (Show/Sxx/...)'
+    })
+    .option("subs", {
+      type: "string",
+      describe: "Comma-separated subtitle languages to download (e.g., ar,en). Default: all available"
+    })
+    .option("subs-format", {
+      type: "string",
+      default: "both",
+      choices: ["srt", "vtt", "both"],
+      describe: "Subtitle format(s) to save; converted from the other one when the server lacks it"
+    })
+    .option("subs-raw", {
+      type: "boolean",
+      default: false,
+      describe: "Save subtitles exactly as served (no conversion, cleanup, re-encoding or retiming)"
+    })
+    .option("subs-encoding", {
+      type: "string",
+      default: DEFAULT_OPTIONS.subsEncoding,
+      describe: "Encoding of subtitles that aren't UTF-8/UTF-16 (output is always UTF-8)",
+      coerce: (v) => { new TextDecoder(v); return v; }
+    })
+    .option("subs-bom", {
+      type: "boolean",
+      default: false,
+      describe: "Write subtitles with a UTF-8 BOM (for players that need it)"
+    })
+    .option("subs-offset", {
+      type: "number",
+      default: 0,
+      describe: "Shift subtitles by ±ms (e.g., -1500 shows them 1.5s earlier)"
+    })
+    .option("subs-fps", {
+      type: "string",
+      describe: 'Retime subtitles between frame rates, "<from>:<to>" (e.g., 25:23.976)',
+      coerce: (v) => { if (v != null) parseFpsRatio(v); return v; }
+    })
+    .option("metadata", {
+      type: "string",
+      choices: ["nfo"],
+      describe: "Also write media-server metadata: movie/tvshow/episode .nfo files plus poster, fanart and thumbnails"
+    })
+    .option("dry-run", {
+      type: "boolean",
+      default: false,
+      describe: "Plan only: print what would be downloaded (with probed sizes) and exit"
+    })
+    .option("plan-out", {
+      type: "string",
+      describe: "Dry run that saves the plan (ids, qualities, paths, subtitle tracks, probed sizes) to this JSON file"
+    })
+    .option("plan-in", {
+      type: "string",
+      describe: "Download exactly the plan in this file (from --plan-out); its output folder and options are restored"
+    })
+    .option("max-total-size", {
+      type: "string",
+      describe: "Don't start when the run would download more than this (e.g., 50G); the run is planned first; --dry-run only reports it",
+      coerce: (v) => (v == null ? v : parseSize(v))
+    })
+    .option("name-template", {
+      type: "string",
+      default: "{title}.{quality}",
+      coerce: (v) => checkTemplate(v, "name"),
+      describe: `Filename template (no extension). Vars: ${Object.keys(TEMPLATE_VARS).map(k => `{${k}}`).join(",")}; {episode:03} pads, [...] around a var is dropped when that var is empty (other brackets stay as written; \\[ \\] for a literal one)`
+    })
+    .option("dir-template", {
+      type: "string",
+      coerce: (v) => checkTemplate(v, "dir"),
+      describe: 'Folder template below --output, "/" between folders, same vars and brackets (replaces --structure), e.g. "{show}[ ({year})][/Season {season:02}]"'
+    })
+    .option("exec-after-file", {
+      type: "string",
+      describe: "Shell command run after each id. Vars: --name-template's plus {path},{id},{dir},{subs},{status} (quoted for you)"
+    })
+    .option("exec-after-run", {
+      type: "string",
+      describe: "Shell command run once at the end; {path},{id},{subs} list every file/id, {status} is ok|partial|failed|cancelled"
+    })
+    .option("webhook", {
+      type: "string",
+      describe: "POST each id's result (and a run summary at the end) as JSON to this URL"
+    })
+    .option("hook-timeout", {
+      type: "string",
+      default: "10m",
+      coerce: (v) => { parseDuration(v); return v; },
+      describe: "Kill an --exec-after-file/--exec-after-run command still running after this long and report it as failed (0 = never)"
+    })
+    .option("report", {
+      type: "string",
+      describe: "Write a per-id report of the run (title, quality, bytes, duration, speed, subtitles, mux/burn, errors) to this file"
+    })
+    .option("report-format", {
+      type: "string",
+      choices: ["json", "csv"],
+      describe: "Report format (default: from the --report extension, .csv → csv, else json)"
+    })
+    .option("progress", {
+      type: "string",
+      default: "auto",
+      choices: ["auto", "json", "none"],
+      describe: 'Progress display: "auto" (dashboard on a terminal), "json" (NDJSON events on stdout) or "none"'
+    })
+    .option("cache", {
+      type: "boolean",
+      default: true,
+      describe: "Answer allVideoInfo/videoSeason/videoGroups from the cache while fresh (--no-cache: always ask the server)"
+    })
+    .option("proxy", {
+      type: "string",
+      coerce: checkProxyUrl,
+      describe: "Proxy for API calls and downloads: http://, https:// or socks5://[user:pass@]host:port (default: HTTP(S)_PROXY/ALL_PROXY, minus NO_PROXY)"
+    })
+    .option("header", {
+      type: "array",
+      string: true,
+      coerce: parseHeaders,
+      describe: 'Extra request header "Name: value" (repeatable; "User-Agent: ..." replaces the default)'
+    })
+    .option("cookies", {
+      type: "string",
+      describe: "Cookie jar in Netscape cookies.txt format; cookies the server sets are saved back to it"
+    })
+    .option("record", {
+      type: "string",
+      describe: "Save every API answer (and the subtitle files) as fixtures in this folder; the cache is bypassed"
+    })
+    .option("replay", {
+      type: "string",
+      describe: "Run offline: answer the API from fixtures saved with --record and serve made-up media locally"
+    })
+    .option("resume", {
+      type: "string",
+      describe: "Resume a session journal from the output folder (latest unfinished one if no id given)"
+    })
+    .option("retry-failed", {
+      type: "boolean",
+      default: false,
+      describe: "When resuming, also re-run IDs that failed (implies --resume)"
+    })
+    .option("interval", {
+      type: "string",
+      default: "6h",
+      describe: "How often watch mode re-checks followed series (e.g., 30m, 6h, 1d)"
+    })
+    .option("pick", {
+      type: "string",
+      describe: 'With search: download a match — "first", its list number, or "ask" to choose interactively'
+    })
+    .option("repair", {
+      type: "boolean",
+      default: false,
+      describe: "With verify: resume or re-download files that are missing or don't match"
+    })
+    .conflicts("resume", ["movie", "from-video", "series", "ids-file"])
+    .conflicts("record", "replay")
+    .conflicts("plan-in", ["movie", "from-video", "series", "ids-file", "resume", "plan-out"])
+    .help()
+    .strict()
+    .argv;
+}
 
-http.interceptors.response.use(
-  (res) => res,
-  (err) => {
-    // Normalize network errors for p-retry clarity
-    const code = err.code || (err.response && `HTTP_${err.response.status}`) || "UNKNOWN";
-    const msg = err.message || "Request failed";
-    const e = new Error(`${code}: ${msg}`);
-    e.code = code;
-    throw e;
-  }
-);
+const argv = parseArgs(configLayers.values);
+// a plan is a dry run that is kept
+if (argv["plan-out"]) argv["dry-run"] = true;
 
 /* ============================================
- * 📡 API calls
+ * 🔌 Library client
  * ============================================ */
-async function getAllVideoInfo(id) {
-  const { data } = await http.get(`/android/allVideoInfo/id/${id}`);
-  return data;
+/* ---- per-run settings; re-read after --resume restores the session's options ---- */
+function settingsFromArgv(a = argv) {
+  return {
+    output: path.resolve(a.output),
+    quality: a.quality,
+    maxFilesize: a["max-filesize"] ?? null,
+    concurrency: Number(a.concurrency),
+    connections: Math.max(1, Number(a.connections) || 1),
+    skipExisting: a["skip-existing"],
+    verify: !a["trust-existing"],
+    overwrite: a["overwrite"],
+    muxSubs: a["mux-subs"],
+    defaultSub: a["default-sub"] ?? null,
+    muxReplace: a["mux-replace"],
+    burnSubs: a["burn-subs"],
+    burnLang: a["burn-lang"] ?? null,
+    ffmpeg: a.ffmpeg,
+    structure: a.structure,
+    nameTemplate: a["name-template"],
+    dirTemplate: a["dir-template"] ?? null,
+    subs: a.subs ?? null,
+    subsFormat: a["subs-format"],
+    subsRaw: a["subs-raw"],
+    subsEncoding: a["subs-encoding"],
+    subsBom: a["subs-bom"],
+    subsOffset: Number(a["subs-offset"]) || 0,
+    subsFps: a["subs-fps"] ?? null,
+    dryRun: a["dry-run"],
+    saveMetadata: ENV.SAVE_METADATA,
+    metadata: a.metadata ?? null,
+    execAfterFile: a["exec-after-file"] ?? null,
+    webhook: a.webhook ?? null,
+    hookTimeout: parseDuration(a["hook-timeout"])
+  };
 }
 
-async function getTranscodedFiles(id) {
-  const { data } = await http.get(`/android/transcoddedFiles/id/${id}`);
-  return Array.isArray(data) ? data : [];
+/* ---- config "series" entries → the settings that differ for that series (typed flags still win) ---- */
+function seriesOverridesFromConfig() {
+  const base = settingsFromArgv();
+  const out = {};
+  for (const [id, values] of Object.entries(config.series)) {
+    const own = settingsFromArgv(parseArgs({ ...configLayers.values, ...values }));
+    const diff = Object.entries(own).filter(([k, v]) => JSON.stringify(v) !== JSON.stringify(base[k]));
+    if (diff.length) out[id] = Object.fromEntries(diff);
+  }
+  return out;
 }
 
-async function getTranslationFiles(id) {
-  const { data } = await http.get(`/android/translationFiles/id/${id}`);
-  return data;
+/* ---- --replay: a local stand-in for the API and the CDN; nothing leaves the machine ---- */
+let replay = null;
+if (argv.replay) {
+  try {
+    replay = await startReplayServer(path.resolve(argv.replay), { log });
+  } catch (e) {
+    console.error(`Fatal: ${e.message}`);
+    process.exit(EXIT.FATAL);
+  }
 }
 
-async function getVideoSeason(id) {
-  const { data } = await http.get(`/android/videoSeason/id/${id}`);
-  return Array.isArray(data) ? data : [];
+/* ---- --plan-in: the API the plan came from re-signs its URLs, unless --base-url says otherwise ---- */
+let planIn = null;
+if (argv["plan-in"]) {
+  try {
+    planIn = readPlan(argv["plan-in"]);
+    if (planIn.baseUrl && !Object.hasOwn(explicitArgs, "base-url")) argv["base-url"] = parseBaseUrl(planIn.baseUrl);
+  } catch (e) {
+    console.error(`Fatal: ${e.message}`);
+    process.exit(EXIT.FATAL);
+  }
 }
 
-async function getEpisodesBySeries(seriesId, seasonFilter = null) {
-  const tpl = ENV.SERIES_EP_ENDPOINT; // e.g., /android/seriesEpisodes/id/{seriesId}
-  if (!tpl) return null;
-  let url = tpl.replace("{seriesId}", encodeURIComponent(seriesId));
-  const seasonParam = ENV.SERIES_EP_SEASON_PARAM || null;
-  if (seasonParam && seasonFilter) {
-    const qs = new URLSearchParams({ [seasonParam]: String(seasonFilter) }).toString();
-    url += (url.includes("?") ? "&" : "?") + qs;
+const client = createClient({
+  ...settingsFromArgv(),
+  seriesOverrides: seriesOverridesFromConfig(),
+  baseUrl: replay?.baseUrl ?? argv["base-url"],
+  timeout: ENV.TIMEOUT,
+  retries: ENV.RETRY_COUNT,
+  userAgent: ENV.USER_AGENT,
+  proxy: replay ? false : argv.proxy ?? null,
+  headers: argv.header ?? {},
+  cookieJar: argv.cookies ? path.resolve(argv.cookies) : null,
+  authToken: ENV.AUTH_TOKEN || loadToken(argv["base-url"]),
+  cache: argv.cache && !replay,
+  cacheTtl: ENV.CACHE_TTL,
+  seriesEpEndpoint: ENV.SERIES_EP_ENDPOINT,
+  seriesEpSeasonParam: ENV.SERIES_EP_SEASON_PARAM,
+  searchEndpoint: ENV.SEARCH_ENDPOINT,
+  discoverLangs: ENV.DISCOVER_LANGS,
+  discoverLevels: ENV.DISCOVER_LEVELS,
+  limitRate: argv["limit-rate"] ?? null,
+  apiRate: Math.max(0, Number(argv["api-rate"]) || 0),
+  apiConcurrency: Math.max(1, Number(argv["api-concurrency"]) || 1),
+  apiRetries: ENV.API_RETRIES,
+  recordDir: argv.record ? path.resolve(argv.record) : null,
+  logger: log
+});
+
+/* ============================================
+ * 📊 Progress dashboard & plan output
+ * ============================================ */
+let dashboard = null;
+let sendJson = null;
+
+function attachConsoleOutput() {
+  if (argv.progress === "json") {
+    // stdout carries only NDJSON; everything meant for people moves to stderr
+    console.log = console.error;
+    printLog = (line) => console.error(line);
+    sendJson = attachJsonProgress(client);
+    return;
   }
-  const { data } = await http.get(url);
-  return data;
-}
+  client.on("plan", (plan) => {
+    if (!argv["dry-run"]) return;
+    for (const f of plan.files) console.log(`PLAN: ${path.basename(f.path)}${f.size != null ? ` (${prettyBytes(f.size)})` : ""}`);
+  });
 
-async function getVideoGroups(lang, level) {
-  const { data } = await http.get(`/android/videoGroups/lang/${lang}/level/${level}`);
-  return data?.groups || [];
+  if (argv.progress === "none" || !process.stderr.isTTY) return;
+  dashboard = createDashboard(client);
+  printLog = (line) => dashboard.print(line);
 }
 
 /* ============================================
- * 🧩 Helpers
+ * 📓 Session journal (resume after crash / Ctrl+C)
  * ============================================ */
-function pad2(n) {
-  const s = String(n ?? "").trim();
-  return s ? s.padStart(2, "0") : null;
-}
-
-function chooseBaseTitle(info) {
-  return (
-    info?.en_title?.trim() ||
-    info?.ar_title?.trim() ||
-    info?.other_title?.trim() ||
-    "untitled"
-  );
-}
-
-function buildTitle(info) {
-  const base = sanitize(chooseBaseTitle(info));
-  const isSeries = String(info?.kind || "") === "2";
-  const s = pad2(info?.season);
-  const e = pad2(info?.episodeNummer);
-  if (isSeries && s && e) return `${base}.S${s}E${e}`;
-  return base;
-}
-
-function pickQuality(qualities, preferredName) {
-  if (!Array.isArray(qualities) || qualities.length === 0) return null;
-  const exact = qualities.find(q => q?.name === preferredName);
-  if (exact) return exact;
-  const resNum = (q) => {
-    const m = String(q?.resolution || "").match(/(\d+)\s*p/i);
-    return m ? Number(m[1]) : -1;
-  };
-  return [...qualities].sort((a, b) => resNum(a) - resNum(b)).pop();
+// options that shape the output; restored verbatim on --resume
+const RESUMABLE_OPTIONS = [
+  "quality", "max-filesize", "concurrency", "connections", "skip-existing", "trust-existing", "overwrite", "mux-subs", "default-sub",
+  "mux-replace", "burn-subs", "burn-lang", "structure", "subs", "subs-format", "subs-raw", "subs-encoding", "subs-bom", "subs-offset",
+  "subs-fps", "name-template", "dir-template", "metadata", "exec-after-file", "exec-after-run", "webhook", "hook-timeout"
+];
+
+function attachJournal(journal) {
+  client.on("stage", ({ id, stage }) => journal.update(id, stage));
+  client.on("item-done", (r) => {
+    if (r.status === "cancelled") return; // still pending
+    if (r.status === "ok") journal.update(r.id, "done");
+    else if (r.status === "error") journal.update(r.id, "error", r.error);
+    else journal.update(r.id, "skipped", r.status);
+  });
 }
 
-function extFromUrl(url, def = ".mp4") {
-  const u = url.toLowerCase();
-  for (const e of [".mp4", ".mkv", ".webm", ".mov", ".m4v"]) {
-    if (u.includes(e)) return e;
+/* ============================================
+ * 🎞️ Quality listing
+ * ============================================ */
+async function listQualitiesCommand(id) {
+  const list = await client.listQualities(String(id));
+  if (list.length === 0) {
+    console.log(`No transcoded files for ${id}.`);
+    return;
   }
-  return def;
+  const rows = list.map(q => [
+    q.selected ? "*" : " ",
+    q.name || "?",
+    q.resolution || (q.height ? `${q.height}p` : "?"),
+    q.container,
+    q.size != null ? prettyBytes(q.size) : "?"
+  ]);
+  const header = [" ", "NAME", "RESOLUTION", "CONTAINER", "SIZE"];
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  for (const r of [header, ...rows]) console.log(r.map((c, i) => c.padEnd(widths[i])).join("  ").trimEnd());
+  const cap = argv["max-filesize"] ? ` within ${prettyBytes(argv["max-filesize"], { binary: true })}` : "";
+  if (!list.some(q => q.selected)) console.log(`\nNothing matches --quality "${argv.quality}"${cap}.`);
+  else console.log(`\n* = picked by --quality "${argv.quality}"${cap}`);
 }
 
-function subExt(url) {
-  const u = url.toLowerCase();
-  if (u.includes(".srt")) return ".srt";
-  if (u.includes(".vtt")) return ".vtt";
-  return ".srt";
-}
-
-function parseExpiryEpoch(url) {
-  try {
-    const q = new URL(url).searchParams;
-    const exp = q.get("Expires");
-    return exp ? Number(exp) : null;
-  } catch {
-    return null;
+/* ============================================
+ * 🔍 Title search
+ * ============================================ */
+function printSearchResults(items) {
+  if (items.length === 0) {
+    console.log("No matches.");
+    return;
   }
+  items.forEach((it, i) => {
+    const titles = [it.en_title, it.ar_title].filter(Boolean).join(" | ") || "untitled";
+    const year = it.year ? ` (${it.year})` : "";
+    const seasons = it.kind === "series" && it.seasons ? ` · ${it.seasons} season(s)` : "";
+    console.log(`${String(i + 1).padStart(2)}. ${it.id.padEnd(8)} ${it.kind.padEnd(6)} ${titles}${year}${seasons}`);
+  });
 }
 
-function isExpiringSoon(epoch, minutes = 10) {
-  if (!epoch) return false;
-  const now = Math.floor(Date.now() / 1000);
-  return epoch - now <= minutes * 60;
-}
+async function pickSearchResult(items, pick) {
+  if (pick === "first") return items[0];
+  if (/^\d+$/.test(pick)) {
+    const it = items[Number(pick) - 1];
+    if (!it) throw new Error(`--pick ${pick} is out of range (1-${items.length})`);
+    return it;
+  }
+  if (pick !== "ask") throw new Error(`Invalid --pick "${pick}" (use first, a number, or ask)`);
+  if (!process.stdin.isTTY) throw new Error("--pick ask needs an interactive terminal");
 
-function safeUnlink(fp) {
-  try { fs.unlinkSync(fp); } catch {}
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = (await rl.question(`Pick 1-${items.length} (Enter to cancel): `)).trim();
+    if (!answer) return null;
+    const it = items[Number(answer) - 1];
+    if (!it) throw new Error(`No match #${answer}`);
+    return it;
+  } finally {
+    rl.close();
+  }
 }
 
-/* ---- file naming ---- */
-function buildNameFromTemplate(tpl, vars) {
-  return tpl
-    .replaceAll("{title}", vars.title)
-    .replaceAll("{quality}", vars.quality)
-    .replaceAll("{season}", vars.season ?? "")
-    .replaceAll("{episode}", vars.episode ?? "");
+/* ---- prints the matches; returns the episode/movie ids of the picked one ---- */
+async function searchCommand() {
+  const items = await client.search(argv.query);
+  printSearchResults(items);
+  if (!argv.pick || items.length === 0) return [];
+
+  const chosen = await pickSearchResult(items, argv.pick);
+  if (!chosen) return [];
+  log.info(`Picked ${chosen.kind} ${chosen.id} (${chosen.en_title || chosen.ar_title || "untitled"})`);
+  if (chosen.kind === "movie") return [chosen.id];
+  return client.discoverSeries(chosen.id, argv.season ? argv.season.map(String) : null);
 }
 
-/* ---- subtitles filter ---- */
-function filterSubtitleTracks(tracks, langCsv, formatPref) {
-  if (!Array.isArray(tracks)) return [];
-  const wantLangs = langCsv
-    ? new Set(langCsv.split(",").map(s => s.trim().toLowerCase()).filter(Boolean))
-    : null;
+/* ============================================
+ * 📺 Subscriptions (subscribe / sync / watch)
+ * ============================================ */
+async function subscribeCommand(output) {
+  if (argv.action === "list") {
+    const subs = Object.values(loadSubscriptions(output).series);
+    if (subs.length === 0) console.log("No followed series.");
+    for (const sub of subs) {
+      const seasons = sub.seasons.length ? `S${sub.seasons.join(",")}` : "all seasons";
+      console.log(`${sub.id}\t${sub.title || "?"}\t${sub.quality} | subs: ${sub.subs || "all"} (${sub.subsFormat}) | ${seasons} | ${sub.downloaded.length} downloaded | last sync: ${sub.lastSync || "never"}`);
+    }
+    return;
+  }
 
-  const byLang = new Map();
-  for (const t of tracks) {
-    const url = t?.file;
-    if (!url || /defaultImages\/loading\.gif/i.test(url)) continue;
-    const lang = (t?.type || t?.name || "sub").toLowerCase();
-    if (wantLangs && !wantLangs.has(lang)) continue;
-    const ext = subExt(url).slice(1);
-    const list = byLang.get(lang) || [];
-    list.push({ url, lang, ext });
-    byLang.set(lang, list);
+  if (!argv.id) throw new Error(`subscribe ${argv.action} needs a series id`);
+  const sid = String(argv.id);
+  if (argv.action === "remove") {
+    if (unfollowSeries(output, sid)) console.log(`Unfollowed series ${sid}.`);
+    else console.warn(`Series ${sid} is not followed.`);
+    return;
   }
 
-  const result = [];
-  for (const [lang, list] of byLang.entries()) {
-    if (formatPref === "both") result.push(...list);
-    else result.push(list.find(x => x.ext === formatPref) || list[0]);
+  // add (or update the settings of an existing subscription)
+  const { entry, updated } = await followSeries(client, output, sid, {
+    quality: argv.quality,
+    subs: argv.subs ?? null,
+    subsFormat: argv["subs-format"],
+    seasons: argv.season ? argv.season.map(String) : [],
+    structure: argv.structure
+  });
+  console.log(`${updated ? "Updated" : "Following"} series ${sid}${entry.title ? ` (${entry.title})` : ""}.`);
+}
+
+async function watchSubscriptions(output, signals) {
+  const every = parseDuration(argv.interval);
+  let wake = null;
+  signals.drainSignal.addEventListener("abort", () => wake?.(), { once: true });
+
+  while (!signals.drainSignal.aborted) {
+    await finishRun(await syncSubscriptions(client, output, signals), signals, new Date());
+    if (signals.drainSignal.aborted) break;
+    log.info(`Next check in ${argv.interval} (Ctrl+C to stop).`);
+    await new Promise((resolve) => {
+      const timer = setTimeout(resolve, every);
+      wake = () => { clearTimeout(timer); resolve(); };
+    });
   }
-  return result;
 }
 
 /* ============================================
- * 💾 Atomic downloads + progress
+ * 🛰️ Queue server
  * ============================================ */
-function makeBar(filePath, total) {
-  if (argv.progress === "none") return null;
-  const bar = new cliProgress.SingleBar(
-    { format: `${path.basename(filePath)} | {bar} | {percentage}% | {value}/{total}`, barCompleteChar: "█", barIncompleteChar: "░" },
-    cliProgress.Presets.shades_classic
-  );
-  if (total > 0) bar.start(total, 0, { total: prettyBytes(total), value: "0 B" });
-  return bar;
-}
-
-async function streamDownloadAtomic(url, finalPath, { skipExisting, overwrite }) {
-  if (fs.existsSync(finalPath)) {
-    if (overwrite) safeUnlink(finalPath);
-    else if (skipExisting) return; // keep existing file
-  }
-
-  const tmpPath = `${finalPath}.part`;
-  safeUnlink(tmpPath);
-
-  const { data, headers } = await http.get(url, { responseType: "stream" });
-  const total = Number(headers["content-length"] || 0);
-  const bar = makeBar(finalPath, total);
-
+async function serveCommand(output) {
+  const queue = createQueue(client, { output, log });
+  const server = createApiServer(client, queue, { token: argv.token ?? null, log });
   await new Promise((resolve, reject) => {
-    const ws = fs.createWriteStream(tmpPath);
-    let downloaded = 0;
-    data.on("data", (chunk) => {
-      downloaded += chunk.length;
-      if (bar && total > 0) bar.update(downloaded, { value: prettyBytes(downloaded) });
-    });
-    data.on("error", (err) => { bar?.stop(); reject(err); });
-    ws.on("error", (err) => { bar?.stop(); reject(err); });
-    ws.on("finish", () => { bar?.stop(); resolve(); });
-    data.pipe(ws);
+    server.once("error", reject);
+    server.listen(argv.port, argv.host, resolve);
   });
+  log.info(`Serving http://${argv.host}:${argv.port}/api (queue: ${path.join(output, QUEUE_FILE)})`);
+  if (!argv.token && !["127.0.0.1", "localhost", "::1"].includes(argv.host)) {
+    log.warn("No --token: anyone who can reach this port can queue downloads.");
+  }
+  queue.start();
 
-  fs.renameSync(tmpPath, finalPath);
-}
-
-async function downloadWithRetry(url, filePath, opts) {
-  await pRetry(() => streamDownloadAtomic(url, filePath, opts), {
-    retries: Math.max(0, ENV.RETRY_COUNT),
-    factor: 2,
-    minTimeout: 800,
-    maxTimeout: 4000,
-    onFailedAttempt: (e) => log.warn(`Retry ${e.attemptNumber}/${e.retriesLeft + e.attemptNumber} for ${path.basename(filePath)}: ${e.message}`)
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
   });
+  log.info("Shutting down; a running job goes back in the queue...");
+  await queue.stop();
+  server.close();
+  server.closeAllConnections();
 }
 
-function runFfmpeg(args) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn(argv.ffmpeg, args, { stdio: "inherit" });
-    proc.on("close", (code) => { if (code === 0) resolve(); else reject(new Error(`ffmpeg exited with code ${code}`)); });
-  });
+/* ============================================
+ * 🗄️ API cache
+ * ============================================ */
+/* ---- 7380000 → "2h03m" ---- */
+function formatSpan(ms) {
+  const m = Math.round(Math.abs(ms) / 60000);
+  if (m >= 1440) return `${Math.floor(m / 1440)}d${Math.floor((m % 1440) / 60)}h`;
+  if (m >= 60) return `${Math.floor(m / 60)}h${String(m % 60).padStart(2, "0")}m`;
+  return `${m}m`;
 }
 
-async function muxSubs(videoPath, subPaths) {
-  const out = videoPath.replace(/\.[^.]+$/, "") + ".muxed.mkv";
-  const args = ["-y", "-i", videoPath];
-  for (const sp of subPaths) args.push("-i", sp);
-  // map up to 4 subtitles safely
-  args.push("-map", "0", "-map", "1?", "-map", "2?", "-map", "3?", "-map", "4?", "-c", "copy", out);
-  await runFfmpeg(args);
-  return out;
+function describeCacheEntry(e) {
+  if (e.kind === "allVideoInfo") return chooseBaseTitle(e.data) || "?";
+  if (e.kind === "videoSeason") return `${Array.isArray(e.data) ? e.data.length : 0} item(s)`;
+  return `${Array.isArray(e.data) ? e.data.length : 0} group(s)`;
 }
 
-async function burnFirstSub(videoPath, subPath) {
-  const out = videoPath.replace(/\.[^.]+$/, "") + ".burned.mp4";
-  // escape subtitle path for ffmpeg filter
-  const safeSub = subPath.replace(/\\/g, "\\\\").replace(/:/g, "\\:").replace(/,/g, "\\,").replace(/'/g, "\\'");
-  const args = ["-y", "-i", videoPath, "-vf", `subtitles='${safeSub}'`, "-c:a", "copy", out];
-  await runFfmpeg(args);
-  return out;
+async function cacheCommand() {
+  const { cache } = client;
+  const id = argv.id ?? null;
+  if (["show", "refresh"].includes(argv.action) && !id) throw new Error(`cache ${argv.action} needs an id`);
+
+  if (argv.action === "list") {
+    const entries = cache.list();
+    const now = Date.now();
+    for (const e of entries) {
+      const expires = e.fresh ? `expires in ${formatSpan(Date.parse(e.expiresAt) - now)}` : "expired";
+      console.log(`${e.kind.padEnd(13)} ${e.key.padEnd(10)} ${describeCacheEntry(e).padEnd(32)} ${formatSpan(now - Date.parse(e.storedAt))} old, ${expires}`);
+    }
+    console.log(`${entries.length} entr${entries.length === 1 ? "y" : "ies"} in ${cache.path}`);
+  } else if (argv.action === "show") {
+    const entries = cache.list().filter(e => e.key === id);
+    if (entries.length === 0) return console.log(`Nothing cached for ${id}.`);
+    for (const e of entries) console.log(JSON.stringify(e, null, 2));
+  } else if (argv.action === "clear") {
+    const n = await cache.clear(id);
+    console.log(`Removed ${n} entr${n === 1 ? "y" : "ies"}${id ? ` for ${id}` : ""} from ${cache.path}`);
+  } else {
+    // drop the series and its episodes, then ask the server again
+    await cache.clear(id);
+    const info = await client.api.getAllVideoInfo(id, { fresh: true });
+    const eps = await client.discoverSeries(id, null, { fresh: true });
+    console.log(`${chooseBaseTitle(info) || id}: ${eps.length} episode(s), cached until ${new Date(Date.now() + cache.ttl.videoSeason).toLocaleString()}`);
+  }
 }
 
 /* ============================================
- * 🔎 Series discovery (+ simple cache)
+ * 🔑 Account (login / logout)
  * ============================================ */
-const CACHE_PATH = path.join(process.cwd(), ".cin-dl-cache.json");
-function loadCache() {
-  if (argv["no-cache"]) return { series: {} };
-  try { return JSON.parse(fs.readFileSync(CACHE_PATH, "utf8")); } catch { return { series: {} }; }
-}
-function saveCache(cache) {
-  if (argv["no-cache"]) return;
-  try { fs.writeFileSync(CACHE_PATH, JSON.stringify(cache, null, 2)); } catch {}
-}
-
-function normalizeEpisodeIds(list) {
-  return (list || []).map(e => String(e?.id ?? e?.nb ?? e)).filter(Boolean);
-}
-
-function normalizeVideoSeasonItems(items, seasonFilters) {
-  const want = (season) => !seasonFilters || seasonFilters.length === 0 ? true : seasonFilters.map(String).includes(String(season ?? ""));
-  return (items || [])
-    .filter(it => String(it?.kind || "") === "2")
-    .filter(it => want(it?.season))
-    .map(it => ({
-      id: String(it?.nb ?? "").trim(),
-      season: Number(it?.season ?? 0),
-      episode: Number(it?.episodeNummer ?? 0),
-      rootSeries: String(it?.rootSeries ?? "")
-    }))
-    .filter(it => it.id)
-    .sort((a, b) => (a.season - b.season) || (a.episode - b.episode))
-    .map(x => x.id);
-}
-
-async function discoverEpisodesByEndpoint(seriesId, seasonFilters) {
-  const episodes = [];
-  if (seasonFilters && seasonFilters.length > 0 && ENV.SERIES_EP_SEASON_PARAM) {
-    for (const s of seasonFilters) {
-      const data = await getEpisodesBySeries(seriesId, s);
-      if (data) episodes.push(...normalizeEpisodeIds(data));
-    }
-  } else {
-    const data = await getEpisodesBySeries(seriesId, null);
-    if (data) episodes.push(...normalizeEpisodeIds(data));
+async function readToken() {
+  if (argv.token) return argv.token;
+  if (process.stdin.isTTY) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    try { return await rl.question("Account token: "); } finally { rl.close(); }
   }
-  return [...new Set(episodes)];
-}
-
-async function discoverEpisodesByVideoGroups(seriesId, seasonFilters) {
-  const langs = ENV.DISCOVER_LANGS.split(",").map(s => s.trim()).filter(Boolean);
-  const levels = ENV.DISCOVER_LEVELS.split(",").map(s => s.trim()).filter(Boolean);
-
-  const found = new Map();
-  for (const lang of langs) {
-    for (const level of levels) {
-      try {
-        const groups = await getVideoGroups(lang, level);
-        for (const g of groups) {
-          for (const c of (g?.content || [])) {
-            if (String(c?.kind || "") !== "2") continue;
-            if (String(c?.rootSeries || "") !== String(seriesId)) continue;
-            const id = String(c?.nb || "");
-            if (!id) continue;
-            const season = Number(c?.season ?? 0);
-            if (seasonFilters && seasonFilters.length && !seasonFilters.map(String).includes(String(season))) continue;
-            if (!found.has(id)) found.set(id, { id, season: Number(c?.season ?? 0), episode: Number(c?.episodeNummer ?? 0) });
-          }
-        }
-      } catch (e) {
-        log.debug(`videoGroups failed for lang=${lang} level=${level}: ${e.message}`);
-      }
-    }
-  }
-  return [...found.values()].sort((a, b) => (a.season - b.season) || (a.episode - b.episode)).map(x => x.id);
+  let text = "";
+  for await (const chunk of process.stdin) text += chunk;
+  return text;
 }
 
-async function expandSeriesToEpisodeIds(seriesIds, seasonFilters) {
-  const cache = loadCache();
-  const out = [];
-  for (const sidRaw of seriesIds) {
-    const sid = String(sidRaw);
-    if (cache.series?.[sid]?.episodes && !argv["no-cache"]) {
-      log.info(`Using cache for series ${sid} → ${cache.series[sid].episodes.length} ep(s).`);
-      out.push(...cache.series[sid].episodes);
-      continue;
-    }
-
-    let eps = [];
-
-    try {
-      const vs = await getVideoSeason(sid);
-      const viaVS = normalizeVideoSeasonItems(vs, seasonFilters);
-      if (viaVS.length) {
-        eps = viaVS;
-        log.info(`Discovered ${eps.length} episode(s) for series ${sid} via videoSeason.`);
-      }
-    } catch (e) { log.debug(`videoSeason failed for ${sid}: ${e.message}`); }
-
-    if (!eps || eps.length === 0) {
-      try {
-        const viaCfg = await discoverEpisodesByEndpoint(sid, seasonFilters);
-        if (viaCfg.length) {
-          eps = viaCfg;
-          log.info(`Discovered ${eps.length} episode(s) for series ${sid} via configured endpoint.`);
-        }
-      } catch (e) { log.debug(`configured endpoint failed for ${sid}: ${e.message}`); }
-    }
-
-    if (!eps || eps.length === 0) {
-      const crawl = await discoverEpisodesByVideoGroups(sid, seasonFilters);
-      eps = crawl;
-      if (eps.length) log.info(`Discovered ${eps.length} episode(s) for series ${sid} via videoGroups.`);
-    }
-
-    if (eps.length === 0) {
-      log.warn(`No episodes discovered for series ${sid}.`);
-    }
+async function loginCommand() {
+  const token = String(await readToken()).trim();
+  if (!token) throw new Error("No token given");
+  if (/\s/.test(token)) throw new Error("The token can't contain whitespace");
+  saveToken(argv["base-url"], token);
+  console.log(`Token saved for ${new URL(argv["base-url"]).host} in ${authFile()}`);
+  if (ENV.AUTH_TOKEN) log.warn("CIN_DL_TOKEN is set and takes precedence over the stored token.");
+}
 
-    out.push(...eps);
-    cache.series[sid] = { updatedAt: new Date().toISOString(), episodes: [...new Set(eps)] };
-  }
-  saveCache(cache);
-  return [...new Set(out)];
+function logoutCommand() {
+  const host = new URL(argv["base-url"]).host;
+  console.log(removeToken(argv["base-url"]) ? `Token for ${host} removed.` : `No token stored for ${host}.`);
 }
 
 /* ============================================
- * 🎬 Core pipeline for one ID
+ * 🗂️ config show
  * ============================================ */
-async function processMovie(id, cfg) {
-  log.info(`\n== Movie/Episode ${id} ==`);
-  const info = await getAllVideoInfo(id);
-
-  const baseTitle = chooseBaseTitle(info);
-  const smartTitle = buildTitle(info);
-
-  const season = pad2(info?.season);
-  const episode = pad2(info?.episodeNummer);
-  const isSeries = String(info?.kind || "") === "2";
-
-  const qualities = await getTranscodedFiles(id);
-  if (!qualities || qualities.length === 0) {
-    log.warn(`No transcoded files for ${id}. Skipping.`);
-    return { id, status: "no-qualities" };
-  }
-  const chosen = pickQuality(qualities, cfg.quality);
-  if (!chosen?.videoUrl) {
-    log.warn(`No usable quality for ${id}. Skipping.`);
-    return { id, status: "no-quality-url" };
-  }
-
-  const videoUrl = chosen.videoUrl;
-  const qname = chosen.name || chosen.resolution || "video";
-  const vext  = extFromUrl(videoUrl, ".mp4");
+function configSource(key, seriesId) {
+  if (Object.hasOwn(explicitArgs, key)) return "command line";
+  if (seriesId && Object.hasOwn(config.series[seriesId], key)) return `config: series ${seriesId}`;
+  if (configLayers.sources[key]) return configLayers.sources[key];
+  const envVar = ENV_SOURCES[key];
+  if (envVar && process.env[envVar]) return `env ${envVar}`;
+  return "default";
+}
 
-  const expEpoch = parseExpiryEpoch(videoUrl);
-  if (isExpiringSoon(expEpoch)) {
-    const mins = Math.max(0, Math.round((expEpoch - Math.floor(Date.now()/1000)) / 60));
-    log.warn(`Video URL for ${id} expires in ~${mins} min; download starting...`);
-  }
+function configShowCommand() {
+  const id = argv.id ?? null;
+  if (id && !config.series[id]) throw new Error(`No overrides for series ${id} in ${config.file || "a config file"}`);
+  const effective = id ? parseArgs({ ...configLayers.values, ...config.series[id] }) : argv;
+  console.log(`Config file: ${config.file || `none (looked in ${configDir()})`}`);
+  if (config.profiles.length) console.log(`Profiles: ${config.profiles.join(", ")}${argv.profile ? ` (using ${argv.profile})` : ""}`);
+  const series = Object.keys(config.series);
+  if (series.length) console.log(`Series overrides: ${series.join(", ")}${id ? ` (showing ${id})` : ""}`);
+  console.log("");
+
+  const show = (k, v) => {
+    if (v == null || v === "") return "-";
+    if (k === "max-filesize" && typeof v === "number") return prettyBytes(v, { binary: true });
+    if (k === "proxy") return String(v).replace(/\/\/[^@/]*@/, "//***@");
+    return String(v);
+  };
+  const rows = CONFIG_OPTIONS.map(k => [k, show(k, effective[k]), configSource(k, id)]);
+  const kw = Math.max(...rows.map(([k]) => k.length));
+  const vw = Math.min(40, Math.max(...rows.map(([, v]) => v.length)));
+  for (const [k, v, source] of rows) console.log(`${k.padEnd(kw)}  ${v.padEnd(vw)}  ${source}`);
+}
 
-  // directory structure
-  let targetDir = cfg.output;
-  if (argv.structure === "series" && isSeries) {
-    const showName = sanitize(baseTitle);
-    const s = season || "00";
-    targetDir = path.join(cfg.output, showName, `S${s}`);
-  }
-  fs.mkdirSync(targetDir, { recursive: true });
-
-  // filename from template
-  const nameCore = buildNameFromTemplate(argv["name-template"], {
-    title: smartTitle,
-    quality: qname,
-    season: season || "",
-    episode: episode || ""
+/* ============================================
+ * 🔎 Library verification
+ * ============================================ */
+async function verifyCommand() {
+  const dir = path.resolve(argv.dir);
+  if (!fs.existsSync(dir)) throw new Error(`No such folder: ${dir}`);
+  client.on("verify", (r) => {
+    const why = r.reasons.length ? ` (${r.reasons.join(", ")})` : "";
+    const line = `${r.status.toUpperCase().padEnd(10)} ${path.relative(dir, r.path)}${why}`;
+    if (r.status === "ok") log.debug(line);
+    else printLog(line, "info");
   });
-  const vname = `${nameCore}${vext}`;
-  const vpath = path.join(targetDir, vname);
-
-  if (argv["dry-run"]) {
-    console.log(`PLAN: ${vname}`);
-  } else {
-    await downloadWithRetry(videoUrl, vpath, { skipExisting: cfg.skipExisting, overwrite: cfg.overwrite });
-  }
 
-  // subtitles
-  const subsResp = await getTranslationFiles(id);
-  const tracksRaw = Array.isArray(subsResp?.translations) ? subsResp.translations : [];
-  const filtered = filterSubtitleTracks(tracksRaw, argv.subs, argv["subs-format"]);
-  if (filtered.length === 0) log.info("No matching subtitles.");
-
-  const subPaths = [];
-  for (const t of filtered) {
-    const sext = "." + t.ext;
-    const sname = `${nameCore}.${t.lang}${sext}`;
-    const spath = path.join(targetDir, sname);
-    const sExp = parseExpiryEpoch(t.url);
-    if (isExpiringSoon(sExp)) {
-      const mins = Math.max(0, Math.round((sExp - Math.floor(Date.now()/1000)) / 60));
-      log.warn(`Subtitle (${t.lang}) URL expires in ~${mins} min`);
-    }
-    if (argv["dry-run"]) {
-      console.log(`PLAN: ${sname}`);
-    } else {
-      await downloadWithRetry(t.url, spath, { skipExisting: cfg.skipExisting, overwrite: cfg.overwrite });
-      subPaths.push(spath);
-    }
-  }
-
-  // metadata
-  if (!argv["dry-run"] && ENV.SAVE_METADATA) {
-    try {
-      const meta = {
-        id,
-        title: smartTitle,
-        baseTitle,
-        season: info?.season ?? null,
-        episode: info?.episodeNummer ?? null,
-        kind: info?.kind ?? null,
-        quality: qname,
-        videoPath: vpath,
-        createdAt: new Date().toISOString(),
-        api: { allVideoInfo: info, chosenQuality: chosen }
-      };
-      fs.writeFileSync(path.join(targetDir, `${nameCore}.json`), JSON.stringify(meta, null, 2));
-    } catch (e) {
-      log.warn(`Failed to write metadata: ${e.message}`);
-    }
-  }
-
-  if (!argv["dry-run"]) {
-    if (cfg.burnSubs && subPaths.length > 0) {
-      try { const out = await burnFirstSub(vpath, subPaths[0]); log.info(`Burned -> ${out}`); }
-      catch (e) { log.error(`Burn failed: ${e.message}`); }
-    }
-    if (cfg.muxSubs && subPaths.length > 0) {
-      try { const out = await muxSubs(vpath, subPaths); log.info(`Muxed -> ${out}`); }
-      catch (e) { log.error(`Mux failed: ${e.message}`); }
-    }
-    log.info(`Done: ${smartTitle}`);
-  }
-
-  return { id, status: "ok", title: smartTitle, outDir: targetDir, file: vpath };
+  const results = await client.verifyLibrary(dir, { repair: argv.repair, signal: installSigintGuard().signal });
+  const count = (status) => results.filter(r => r.status === status).length;
+  const bad = count("mismatch") + count("missing") + count("error");
+  dashboard?.stop();
+  console.log("\n===== VERIFY =====");
+  console.log(`OK: ${count("ok")} | Repaired: ${count("repaired")} | Mismatch: ${count("mismatch")} | Missing: ${count("missing")} | Unverified: ${count("unverified")} | Errors: ${count("error")} | Total: ${results.length}`);
+  if (bad && !argv.repair) console.log(`Fix them with → cin-dl verify ${argv.dir} --repair`);
+  if (bad) process.exitCode = EXIT.PARTIAL;
 }
 
 /* ============================================
@@ -697,107 +897,242 @@ function readIdsFile(fp) {
   return out;
 }
 
-function uniqStrings(arr) {
-  return [...new Set(arr.map(String))];
-}
-
-function installSigintGuard(cancel) {
-  let stopping = false;
-  const onSig = () => {
-    if (stopping) return; // second Ctrl+C lets Node exit naturally
-    stopping = true;
-    console.log("\nReceived SIGINT. Finishing in-flight jobs, cancelling the rest...");
-    cancel();
-  };
-  process.on("SIGINT", onSig);
+/* ---- 1st Ctrl+C: finish in-flight jobs; 2nd: abort them too (.part files are kept) ---- */
+function installSigintGuard() {
+  const drain = new AbortController();
+  const abort = new AbortController();
+  process.on("SIGINT", () => {
+    if (!drain.signal.aborted) {
+      printLog("\nReceived SIGINT. Finishing in-flight jobs, cancelling the rest (Ctrl+C again to abort them)...", "warn");
+      drain.abort();
+    } else if (!abort.signal.aborted) {
+      printLog("\nReceived SIGINT again. Aborting in-flight downloads; partial files are kept for resume...", "warn");
+      abort.abort();
+    }
+  });
+  return { drainSignal: drain.signal, signal: abort.signal };
 }
 
-async function main() {
-  const output = path.resolve(argv.output);
-  fs.mkdirSync(output, { recursive: true });
-
+async function collectIds() {
   // collect explicit episode IDs
   let ids = [];
   if (argv.movie && argv.movie.length) ids.push(...argv.movie.map(String));
   if (argv["ids-file"]) ids.push(...readIdsFile(argv["ids-file"]));
 
+  const seasonFilters = argv.season ? argv.season.map(String) : null;
+
   // expand "from-video" to full series via videoSeason
   if (argv["from-video"] && argv["from-video"].length) {
-    const seasonFilters = argv.season ? argv.season.map(String) : null;
-    const all = [];
-    for (const ep of argv["from-video"].map(String)) {
-      try {
-        const vs = await getVideoSeason(ep);
-        const expanded = normalizeVideoSeasonItems(vs, seasonFilters);
-        if (expanded.length) {
-          console.log(`From episode ${ep}: discovered ${expanded.length} episode(s) via videoSeason.`);
-          all.push(...expanded);
-        } else {
-          console.warn(`No episodes discovered via videoSeason for starting episode ${ep}.`);
-        }
-      } catch (e) {
-        console.warn(`videoSeason failed for ${ep}: ${e.message}`);
-      }
-    }
-    ids.push(...all);
+    ids.push(...await client.discoverFromEpisodes(argv["from-video"].map(String), seasonFilters));
   }
 
   // expand series to episode IDs
   if (argv.series && argv.series.length) {
-    const seasonFilters = argv.season ? argv.season.map(String) : null;
-    const eps = await expandSeriesToEpisodeIds(argv.series.map(String), seasonFilters);
-    ids.push(...eps);
+    ids.push(...await client.discoverSeries(argv.series.map(String), seasonFilters));
+  }
+
+  return uniqStrings(ids);
+}
+
+function exitCodeFor(results, signals) {
+  if (signals?.drainSignal.aborted || results.some(r => r?.status === "cancelled")) return EXIT.CANCELLED;
+  if (!results.some(r => r?.status === "error")) return EXIT.OK;
+  return results.some(r => r?.status === "ok") ? EXIT.PARTIAL : EXIT.FAILED;
+}
+
+function countResults(results) {
+  const ok = results.filter(r => r?.status === "ok").length;
+  const skipped = results.filter(r => r?.status && r.status.startsWith("no-")).length;
+  const errors = results.filter(r => r?.status === "error").length;
+  return { ok, skipped, errors, total: results.length };
+}
+
+function printSummary(results, exitCode, runWarnings = []) {
+  dashboard?.stop();
+  const { ok, skipped, errors } = countResults(results);
+  console.log("\n===== SUMMARY =====");
+  // reasons first, so they don't get lost in the scrollback above
+  for (const r of results) {
+    const who = `${r.id}${r.title ? ` ${r.title}` : ""}`;
+    if (r.status !== "ok") console.log(`${r.status.toUpperCase().padEnd(16)} ${who}${r.error ? ` (${r.error})` : ""}`);
+    for (const w of r.warnings || []) console.log(`${"WARNING".padEnd(16)} ${who} (${w})`);
   }
+  for (const w of runWarnings) console.log(`${"WARNING".padEnd(16)} run (${w})`);
+  console.log(`OK: ${ok} | Skipped: ${skipped} | Errors: ${errors} | Total: ${results.length}`);
+  sendJson?.("summary", { ok, skipped, errors, total: results.length, exitCode });
+}
 
-  ids = uniqStrings(ids);
+const RUN_STATUS = { [EXIT.OK]: "ok", [EXIT.PARTIAL]: "partial", [EXIT.FAILED]: "failed", [EXIT.CANCELLED]: "cancelled" };
 
-  if (ids.length === 0) {
-    console.error("Provide --movie <id>, --ids-file <path>, --from-video <episodeId>, or --series <rootSeriesId>.");
-    process.exit(1);
+/* ---- --exec-after-run and the closing --webhook call; failures are returned for the summary ---- */
+async function runRunHooks(results, exitCode, summary) {
+  const warnings = [];
+  if (argv["dry-run"]) return warnings;
+  const status = RUN_STATUS[exitCode];
+  if (argv["exec-after-run"]) {
+    const why = await runHook(argv["exec-after-run"], runHookVars(results, { output: path.resolve(argv.output), status }), { log, timeout: parseDuration(argv["hook-timeout"]) });
+    if (why) warnings.push(`exec-after-run: ${why}`);
+  }
+  if (argv.webhook) {
+    try {
+      await postWebhook(argv.webhook, { event: "run-done", status, exitCode, summary, results }, { userAgent: ENV.USER_AGENT });
+    } catch (e) {
+      warnings.push(`webhook: ${e.message}`);
+    }
   }
+  return warnings;
+}
 
-  const cfg = {
-    output,
-    quality: argv.quality,
-    skipExisting: argv["skip-existing"],
-    overwrite: argv["overwrite"],
-    muxSubs: argv["mux-subs"],
-    burnSubs: argv["burn-subs"]
-  };
+/* ============================================
+ * 🧮 Download plans & disk-space preflight
+ * ============================================ */
+/* ---- --plan-in: the plan's output folder and options come back the way --resume restores them ---- */
+function restorePlanArgs(plan) {
+  argv.output = plan.output;
+  for (const k of RESUMABLE_OPTIONS) {
+    if (k in plan.options) argv[k] = plan.options[k];
+  }
+}
 
-  const limit = pLimit(Number(argv.concurrency));
+/* ---- sizes against the free space and --max-total-size; `strict` throws instead of warning ---- */
+function checkPlan(plan, { strict }) {
+  const check = preflight(plan, {
+    output: plan.output,
+    maxTotalSize: argv["max-total-size"] ?? null,
+    muxSubs: argv["mux-subs"],
+    muxReplace: argv["mux-replace"]
+  });
+  const fmt = (n) => prettyBytes(n, { binary: true });
+  const free = check.free != null ? `, ${fmt(check.free)} free` : "";
+  log.info(`Preflight: ${plan.items.length} item(s), ${fmt(check.total)} in all, ${fmt(check.needed)} still to download${free}`);
+  for (const w of check.warnings) log.warn(`Preflight: ${w}`);
+  if (check.errors.length && strict) throw new Error(`Preflight: ${check.errors.join("; ")}`);
+  for (const e of check.errors) log.warn(`Preflight: ${e}; a real run would not start`);
+  if (!check.errors.length && !strict) log.info("Preflight: the run fits");
+}
 
-  let cancelRequested = false;
-  installSigintGuard(() => { cancelRequested = true; });
+/* ---- a dry run's results as a plan, with the options that shaped them ---- */
+function planFromResults(ids, results) {
+  const options = Object.fromEntries(RESUMABLE_OPTIONS.map(k => [k, argv[k]]));
+  return createPlan(results, { ids, baseUrl: client.options.baseUrl, output: path.resolve(argv.output), options });
+}
 
-  const results = [];
-  const jobs = ids.map((id) => limit(async () => {
-    if (cancelRequested) return; // skip queued jobs
+/* ---- --report, run hooks, summary and exit code of a download run ---- */
+async function finishRun(results, signals, startedAt) {
+  const exitCode = exitCodeFor(results, signals);
+  const summary = countResults(results);
+  if (argv.report) {
     try {
-      const r = await pRetry(() => processMovie(id, cfg), { retries: 2, factor: 2 });
-      if (r) results.push(r);
+      writeReport(argv.report, results, { format: argv["report-format"] ?? null, startedAt, exitCode, summary });
+      log.info(`Report written to ${argv.report}`);
     } catch (e) {
-      console.error(`Error processing ${id}: ${e.message}`);
-      results.push({ id, status: "error", error: e.message });
+      log.error(`Failed to write report: ${e.message}`);
     }
-  }));
+  }
+  printSummary(results, exitCode, await runRunHooks(results, exitCode, summary));
+  if (client.recorder) log.info(`Recorded ${client.recorder.count} API answer(s) in ${client.recorder.dir}`);
+  process.exitCode = exitCode;
+  return summary;
+}
 
-  try {
-    await Promise.all(jobs);
-  } catch (e) {
-    // Already logged per-job
+async function main() {
+  const [command] = argv._;
+  if (command === "config") return configShowCommand();
+  if (command === "cache") return cacheCommand();
+  if (command === "login") return loginCommand();
+  if (command === "logout") return logoutCommand();
+  // --plan-in brings back the planned run's output folder, so it comes first
+  let plan = planIn;
+  if (plan) restorePlanArgs(plan);
+  const output = path.resolve(argv.output);
+  fs.mkdirSync(output, { recursive: true });
+  attachConsoleOutput();
+
+  if (command === "subscribe") return subscribeCommand(output);
+  if (argv["list-qualities"]) return listQualitiesCommand(argv["list-qualities"]);
+  if (command === "verify") return verifyCommand();
+  if (command === "serve") return serveCommand(output);
+  if (command === "watch") return watchSubscriptions(output, installSigintGuard());
+  if (command === "sync") {
+    const signals = installSigintGuard();
+    await finishRun(await syncSubscriptions(client, output, signals), signals, new Date());
+    return;
   }
 
-  // Summary
-  const ok = results.filter(r => r?.status === "ok").length;
-  const skipped = results.filter(r => r?.status && r.status.startsWith("no-")).length;
-  const errors = results.filter(r => r?.status === "error").length;
-  console.log("\n===== SUMMARY =====");
-  console.log(`OK: ${ok} | Skipped: ${skipped} | Errors: ${errors} | Total: ${results.length}`);
-  if (errors) process.exitCode = 1;
+  let ids;
+  let journal = null;
+  if (plan) {
+    ids = plan.items.map(item => item.id);
+    const skipped = plan.skipped.length ? ` (${plan.skipped.length} id(s) had nothing to download)` : "";
+    log.info(`Plan ${argv["plan-in"]} from ${plan.createdAt}: ${ids.length} item(s)${skipped}.`);
+    if (ids.length === 0) {
+      console.log("Nothing to download in this plan.");
+      return;
+    }
+  } else if (argv.resume !== undefined || argv["retry-failed"]) {
+    journal = openJournal(output, argv.resume || null, argv["retry-failed"], { log });
+    for (const k of RESUMABLE_OPTIONS) {
+      if (k in journal.data.options) argv[k] = journal.data.options[k];
+    }
+    ids = journal.unfinished(argv["retry-failed"]);
+    const total = Object.keys(journal.data.items).length;
+    log.info(`Resuming session ${journal.id}: ${ids.length} of ${total} item(s) left.`);
+    if (ids.length === 0) {
+      const failed = journal.counts().error || 0;
+      console.log(`Nothing left to do in session ${journal.id}.${failed ? ` ${failed} failed item(s): add --retry-failed to re-run them.` : ""}`);
+      return;
+    }
+  } else {
+    ids = command === "search" ? await searchCommand() : await collectIds();
+    if (ids.length === 0) {
+      if (command === "search") return;
+      console.error("Provide --movie <id>, --ids-file <path>, --from-video <episodeId>, or --series <rootSeriesId>.");
+      process.exit(EXIT.NO_INPUT);
+    }
+  }
+
+  // a size cap needs the sizes before anything starts; the plan is then what runs
+  if (!plan && argv["max-total-size"] != null && !argv["dry-run"]) {
+    log.info(`Planning ${ids.length} item(s) to check the total size...`);
+    plan = await client.plan(ids, settingsFromArgv());
+    ids = plan.items.map(item => item.id);
+  }
+  if (plan) checkPlan(plan, { strict: !argv["dry-run"] });
+  // a --plan-in run is resumed by running the plan again
+  if (!journal && !argv["plan-in"] && !argv["dry-run"]) {
+    const options = Object.fromEntries(RESUMABLE_OPTIONS.map(k => [k, argv[k]]));
+    journal = createJournal(output, ids, { options, log });
+    log.info(`Session ${journal.id} (${ids.length} item(s)); resume later with --resume ${journal.id}`);
+  }
+  if (journal) attachJournal(journal);
+
+  const signals = installSigintGuard();
+  dashboard?.expectJobs(ids.length);
+  const startedAt = new Date();
+  const settings = { ...settingsFromArgv(), ...signals };
+  let results;
+  if (!plan) results = await client.download(ids, settings);
+  // ids that had nothing to download when the plan was made now count in this run's summary
+  else results = [...await client.runPlan(plan, settings), ...(argv["plan-in"] ? [] : plan.skipped)];
+  // a dry run is where a batch gets sized up: the preflight verdict is shown, nothing is refused
+  if (argv["dry-run"] && !plan) {
+    const dryPlan = planFromResults(ids, results);
+    checkPlan(dryPlan, { strict: false });
+    if (argv["plan-out"]) {
+      writePlan(argv["plan-out"], dryPlan);
+      log.info(`Plan written to ${argv["plan-out"]}; run it with --plan-in ${argv["plan-out"]}`);
+    }
+  }
+
+  const { errors } = await finishRun(results, signals, startedAt);
+  if (journal) {
+    const left = journal.unfinished(false).length;
+    if (left) console.log(`Session ${journal.id}: ${left} item(s) unfinished → cin-dl --resume ${journal.id}`);
+    if (errors) console.log(`Session ${journal.id}: re-run failures with → cin-dl --resume ${journal.id} --retry-failed`);
+  }
 }
 
 main().catch((e) => {
   console.error(`Fatal: ${e.message}`);
-  process.exit(1);
+  process.exit(EXIT.FATAL);
 });
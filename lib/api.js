@@ -0,0 +1,99 @@
+/**
+ * cin-dl : Cinemana Android API calls.
+ */
+
+/**
+ * @param {import("axios").AxiosInstance} http
+ * @param {{
+ *   seriesEpEndpoint?: string|null,
+ *   seriesEpSeasonParam?: string|null,
+ *   searchEndpoint: string,
+ *   cache?: ReturnType<typeof import("./cache.js").createCache>|null,
+ *   scheduler?: ReturnType<typeof import("./scheduler.js").createApiScheduler>|null,
+ *   recorder?: ReturnType<typeof import("./fixtures.js").createRecorder>|null
+ * }} opts
+ * allVideoInfo, videoSeason and videoGroups go through the cache; `{ fresh: true }` skips the lookup (the answer is still stored).
+ * Requests that reach the server go through the scheduler (rate limit, retries, circuit breaker);
+ * with a recorder (--record) every answer is also saved as a fixture.
+ */
+export function createApi(http, { seriesEpEndpoint = null, seriesEpSeasonParam = null, searchEndpoint, cache = null, scheduler = null, recorder = null }) {
+  async function request(url) {
+    try {
+      const res = await http.get(url);
+      if (recorder) await recorder.ok(url, res);
+      return res;
+    } catch (e) {
+      recorder?.failed(url, e);
+      throw e;
+    }
+  }
+  const get = (url) => scheduler ? scheduler.run(() => request(url), { label: url }) : request(url);
+
+  async function cached(kind, key, fresh, fetch) {
+    if (cache && !fresh) {
+      const hit = cache.get(kind, key);
+      if (hit !== undefined) return hit;
+    }
+    const data = await fetch();
+    // an empty answer may just be a hiccup; ask again next time
+    if (cache && data != null && !(Array.isArray(data) && data.length === 0)) cache.set(kind, key, data);
+    return data;
+  }
+
+  function getAllVideoInfo(id, { fresh = false } = {}) {
+    return cached("allVideoInfo", String(id), fresh, async () => (await get(`/android/allVideoInfo/id/${id}`)).data);
+  }
+
+  async function getTranscodedFiles(id) {
+    const { data } = await get(`/android/transcoddedFiles/id/${id}`);
+    return Array.isArray(data) ? data : [];
+  }
+
+  async function getTranslationFiles(id) {
+    const { data } = await get(`/android/translationFiles/id/${id}`);
+    return data;
+  }
+
+  function getVideoSeason(id, { fresh = false } = {}) {
+    return cached("videoSeason", String(id), fresh, async () => {
+      const { data } = await get(`/android/videoSeason/id/${id}`);
+      return Array.isArray(data) ? data : [];
+    });
+  }
+
+  async function getEpisodesBySeries(seriesId, seasonFilter = null) {
+    const tpl = seriesEpEndpoint; // e.g., /android/seriesEpisodes/id/{seriesId}
+    if (!tpl) return null;
+    let url = tpl.replace("{seriesId}", encodeURIComponent(seriesId));
+    if (seriesEpSeasonParam && seasonFilter) {
+      const qs = new URLSearchParams({ [seriesEpSeasonParam]: String(seasonFilter) }).toString();
+      url += (url.includes("?") ? "&" : "?") + qs;
+    }
+    const { data } = await get(url);
+    return data;
+  }
+
+  function getVideoGroups(lang, level, { fresh = false } = {}) {
+    return cached("videoGroups", `${lang}/${level}`, fresh, async () => {
+      const { data } = await get(`/android/videoGroups/lang/${lang}/level/${level}`);
+      return data?.groups || [];
+    });
+  }
+
+  async function getSearchResults(query) {
+    const url = searchEndpoint.replaceAll("{query}", encodeURIComponent(query));
+    const { data } = await get(url);
+    if (Array.isArray(data)) return data;
+    return data?.results || data?.data || [];
+  }
+
+  return {
+    getAllVideoInfo,
+    getTranscodedFiles,
+    getTranslationFiles,
+    getVideoSeason,
+    getEpisodesBySeries,
+    getVideoGroups,
+    getSearchResults
+  };
+}
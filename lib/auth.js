@@ -0,0 +1,52 @@
+/**
+ * cin-dl : stored account tokens (`login` / `logout`).
+ *
+ * ~/.config/cin-dl/auth.json keeps one token per API host, readable only by
+ * the user. The token is sent as `Authorization: Bearer …` to that host only,
+ * never to the media servers.
+ */
+
+import fs from "fs";
+import path from "path";
+import { configDir } from "./config.js";
+
+export function authFile() {
+  return path.join(configDir(), "auth.json");
+}
+
+function hostOf(baseUrl) {
+  try { return new URL(baseUrl).host; } catch { throw new Error(`Not a URL: ${baseUrl}`); }
+}
+
+function readAll() {
+  try { return JSON.parse(fs.readFileSync(authFile(), "utf8")).hosts || {}; } catch { return {}; }
+}
+
+function writeAll(hosts) {
+  const fp = authFile();
+  fs.mkdirSync(path.dirname(fp), { recursive: true });
+  fs.writeFileSync(`${fp}.tmp`, JSON.stringify({ hosts }, null, 2), { mode: 0o600 });
+  fs.renameSync(`${fp}.tmp`, fp);
+}
+
+/** @returns {string|null} */
+export function loadToken(baseUrl) {
+  if (!baseUrl) return null;
+  return readAll()[hostOf(baseUrl)]?.token || null;
+}
+
+export function saveToken(baseUrl, token) {
+  const hosts = readAll();
+  hosts[hostOf(baseUrl)] = { token, savedAt: new Date().toISOString() };
+  writeAll(hosts);
+}
+
+/** @returns {boolean} whether there was one */
+export function removeToken(baseUrl) {
+  const hosts = readAll();
+  const host = hostOf(baseUrl);
+  if (!hosts[host]) return false;
+  delete hosts[host];
+  writeAll(hosts);
+  return true;
+}
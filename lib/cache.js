@@ -0,0 +1,241 @@
+/**
+ * cin-dl : API response cache.
+ *
+ * One JSON file in the user cache dir (~/.cache/cin-dl/cache.json) holding
+ * allVideoInfo, videoSeason and videoGroups responses, each with its own TTL.
+ * Signed media URLs are stripped before anything is stored, so a cache hit
+ * never hands out a link that has expired.
+ *
+ * Several runs may share the file: every write re-reads it under a lock file,
+ * applies this process's changes on top and replaces it atomically.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parseDuration, parseExpiryEpoch, writeJsonAtomic } from "./helpers.js";
+import { silentLogger } from "./log.js";
+
+const HOUR = 3600 * 1000;
+
+/** @type {Record<CacheKind, number>} ms */
+export const DEFAULT_CACHE_TTL = {
+  allVideoInfo: 24 * HOUR,
+  videoSeason: 6 * HOUR,  // new episodes show up here
+  videoGroups: 6 * HOUR
+};
+export const CACHE_KINDS = Object.keys(DEFAULT_CACHE_TTL);
+
+const VERSION = 2;
+const LOCK_STALE_MS = 10000;
+
+/**
+ * @typedef {"allVideoInfo"|"videoSeason"|"videoGroups"} CacheKind
+ * @typedef {Object} CacheEntry
+ * @property {CacheKind} kind
+ * @property {string} key        id, or "lang/level" for videoGroups
+ * @property {string} storedAt
+ * @property {any} data
+ */
+
+/** @returns {string} ~/.cache/cin-dl (XDG_CACHE_HOME, %LOCALAPPDATA% on Windows) */
+export function cacheDir() {
+  if (process.env.XDG_CACHE_HOME) return path.join(process.env.XDG_CACHE_HOME, "cin-dl");
+  if (process.platform === "win32" && process.env.LOCALAPPDATA) return path.join(process.env.LOCALAPPDATA, "cin-dl", "cache");
+  return path.join(os.homedir(), ".cache", "cin-dl");
+}
+
+/* ---- one file per API host, so a mirror or test server never mixes its answers with the real ones ---- */
+export function defaultCachePath(baseUrl) {
+  let host = "default";
+  try { host = new URL(baseUrl).host.replace(/[^\w.-]+/g, "_"); } catch {}
+  return path.join(cacheDir(), `${host}.json`);
+}
+
+/* ---- "videoSeason=1h,allVideoInfo=7d" → { videoSeason: 3600000, ... } ---- */
+export function parseCacheTtl(spec) {
+  const out = {};
+  for (const part of String(spec || "").split(",").map(s => s.trim()).filter(Boolean)) {
+    const [kind, value] = part.split("=").map(s => s.trim());
+    if (!CACHE_KINDS.includes(kind)) throw new Error(`Unknown cache kind "${kind}" (expected ${CACHE_KINDS.join(", ")})`);
+    out[kind] = parseDuration(value);
+  }
+  return out;
+}
+
+const isSignedUrl = (s) => /^https?:\/\//i.test(s) && (parseExpiryEpoch(s) != null || /[?&](signature|x-amz-signature|key-pair-id|token)=/i.test(s));
+
+/* ---- deep copy without signed URLs ---- */
+function stripSigned(value) {
+  if (Array.isArray(value)) return value.map(stripSigned);
+  if (value && typeof value === "object") {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      if (typeof v === "string" && isSignedUrl(v)) continue;
+      out[k] = stripSigned(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/* ---- a lock is left behind when its holder is gone (same host) or has held it far too long ---- */
+function isStaleLock(lockFile) {
+  const { mtimeMs } = fs.statSync(lockFile);
+  if (Date.now() - mtimeMs > LOCK_STALE_MS) return true;
+  const pid = Number(fs.readFileSync(lockFile, "utf8"));
+  if (!pid) return false; // still being written
+  try {
+    process.kill(pid, 0);
+    return false;
+  } catch (e) {
+    return e.code === "ESRCH";
+  }
+}
+
+/**
+ * @param {{
+ *   path: string,
+ *   enabled?: boolean,                        false: every get misses, nothing is written
+ *   ttl?: Partial<Record<CacheKind, number>>,
+ *   log?: import("./log.js").Logger
+ * }} opts
+ */
+export function createCache({ path: file, enabled = true, ttl = {}, log = silentLogger }) {
+  const ttls = { ...DEFAULT_CACHE_TTL, ...ttl };
+  const lockFile = `${file}.lock`;
+  let entries = null; // "kind:key" → CacheEntry, loaded on first use
+  let queued = []; // commits waiting for the next write; they share it
+  let writing = Promise.resolve();
+
+  const keyOf = (kind, key) => `${kind}:${key}`;
+  const fresh = (e, now = Date.now()) => now - Date.parse(e.storedAt) < (ttls[e.kind] ?? 0);
+
+  function readDisk() {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, "utf8"));
+      return data?.version === VERSION && data.entries ? data.entries : {};
+    } catch {
+      return {};
+    }
+  }
+
+  function load() {
+    if (!entries) entries = readDisk();
+    return entries;
+  }
+
+  /* ---- run fn holding the lock file (it holds our pid); waits until it is free or stale ---- */
+  async function withLock(fn) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    let fd = null;
+    while (fd === null) {
+      try {
+        fd = fs.openSync(lockFile, "wx");
+        fs.writeSync(fd, String(process.pid));
+      } catch (e) {
+        if (e.code !== "EEXIST") throw e;
+        try {
+          if (isStaleLock(lockFile)) {
+            log.debug(`Removing stale cache lock ${lockFile}`);
+            fs.unlinkSync(lockFile);
+            continue;
+          }
+        } catch { continue; } // gone meanwhile
+        await sleep(25);
+      }
+    }
+    try {
+      return fn();
+    } finally {
+      fs.closeSync(fd);
+      try { fs.unlinkSync(lockFile); } catch {}
+    }
+  }
+
+  /* ---- `changes`: "kind:key" → entry, or null to delete ---- */
+  function apply(target, changes) {
+    for (const [k, e] of changes) {
+      if (e) target[k] = e;
+      else delete target[k];
+    }
+    return target;
+  }
+
+  /* ---- memory at once; the file under the lock (awaited, never blocking), expired entries dropped ---- */
+  function commit(changes, { all = false } = {}) {
+    if (!enabled) return Promise.resolve();
+    entries = apply(all ? {} : load(), changes);
+    queued.push({ changes, all });
+    if (queued.length === 1) writing = writing.then(write);
+    return writing;
+  }
+
+  async function write() {
+    try {
+      await withLock(() => {
+        const batch = queued;
+        queued = [];
+        let disk = readDisk();
+        for (const { changes, all } of batch) disk = apply(all ? {} : disk, changes);
+        const now = Date.now();
+        for (const [k, e] of Object.entries(disk)) if (!fresh(e, now)) delete disk[k];
+        writeJsonAtomic(file, { version: VERSION, entries: disk });
+        entries = disk;
+      });
+    } catch (e) {
+      queued = [];
+      log.warn(`Failed to write cache ${file}: ${e.message}`);
+    }
+  }
+
+  return {
+    path: file,
+    enabled,
+    ttl: ttls,
+
+    /** @returns {any|undefined} the stored data while it is fresh */
+    get(kind, key) {
+      if (!enabled) return undefined;
+      const e = load()[keyOf(kind, key)];
+      if (!e || !fresh(e)) return undefined;
+      log.debug(`Cache hit: ${kind} ${key}`);
+      return e.data;
+    },
+
+    /** @returns {Promise<void>} once it is on disk; never rejects */
+    set(kind, key, data) {
+      const k = keyOf(kind, key);
+      return commit([[k, { kind, key: String(key), storedAt: new Date().toISOString(), data: stripSigned(data) }]]);
+    },
+
+    /** @returns {(CacheEntry & { expiresAt: string, fresh: boolean })[]} everything on disk, oldest first */
+    list() {
+      entries = readDisk();
+      return Object.values(entries)
+        .map(e => ({ ...e, expiresAt: new Date(Date.parse(e.storedAt) + (ttls[e.kind] ?? 0)).toISOString(), fresh: fresh(e) }))
+        .sort((a, b) => a.storedAt.localeCompare(b.storedAt));
+    },
+
+    /**
+     * Drop everything, or the entries of one id. For a series that includes
+     * the entries of the episodes its videoSeason lists.
+     * @returns {Promise<number>} entries removed
+     */
+    async clear(id = null) {
+      const before = readDisk();
+      if (id == null) {
+        await commit([], { all: true });
+        return Object.keys(before).length;
+      }
+      const ids = new Set([String(id)]);
+      const season = before[keyOf("videoSeason", id)]?.data;
+      for (const ep of Array.isArray(season) ? season : []) if (ep?.nb != null) ids.add(String(ep.nb));
+      const gone = Object.entries(before).filter(([, e]) => e.kind !== "videoGroups" && ids.has(e.key)).map(([k]) => [k, null]);
+      await commit(gone);
+      return gone.length;
+    }
+  };
+}
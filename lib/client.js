@@ -0,0 +1,411 @@
+/**
+ * cin-dl : programmatic client.
+ *
+ *   import { createClient } from "cin-dl";
+ *   const client = createClient({ baseUrl: "https://cinemana.shabakaty.com/api", output: "videos" });
+ *   client.on("progress", ({ path, downloaded, total }) => ...);
+ *   const ids = await client.discoverSeries("3293", ["1"]);
+ *   const results = await client.download(ids, { quality: "mp4-720", signal });
+ */
+
+import { EventEmitter } from "events";
+import path from "path";
+import pLimit from "p-limit";
+import { createApi } from "./api.js";
+import { createCache, defaultCachePath } from "./cache.js";
+import { createDiscovery } from "./discovery.js";
+import { createDownloader } from "./download.js";
+import { buildTitle, chooseBaseTitle, pad2, uniqStrings } from "./helpers.js";
+import { DEFAULT_HOOK_TIMEOUT_MS, runItemHooks } from "./hooks.js";
+import { createRecorder } from "./fixtures.js";
+import { createHttp, DEFAULT_USER_AGENT } from "./http.js";
+import { silentLogger } from "./log.js";
+import { createApiScheduler } from "./scheduler.js";
+import { createRateLimiter } from "./throttle.js";
+import { processMovie, processPlannedItem } from "./pipeline.js";
+import { createPlan } from "./plan.js";
+import { describeQuality, pickQuality, probeQualitySizes } from "./quality.js";
+import { searchTitles } from "./search.js";
+import { DEFAULT_SUBS_ENCODING } from "./subtitles.js";
+import { verifyLibrary as verifyDir } from "./verify.js";
+
+/**
+ * Settings that shape a download; every one can be overridden per `download()` call.
+ * @typedef {Object} DownloadSettings
+ * @property {string} output              output folder
+ * @property {string} quality             quality selector, e.g. "mp4-1080/best" or "best[height<=720]" (see quality.js)
+ * @property {number|null} maxFilesize   never pick a quality larger than this (bytes; sizes are probed)
+ * @property {number} concurrency         ids processed in parallel
+ * @property {number} connections         byte-range connections per video file
+ * @property {boolean} skipExisting       keep files that already exist (if they still match the server)
+ * @property {boolean} verify             probe the server before keeping an existing file
+ * @property {boolean} overwrite          replace files that already exist
+ * @property {boolean} muxSubs            attach every subtitle language into an MKV (ffmpeg)
+ * @property {string|null} defaultSub     language whose muxed track is flagged default, e.g. "ar"
+ * @property {boolean} muxReplace         the MKV replaces the original video (`<name>.mkv`)
+ * @property {boolean} burnSubs           burn a subtitle into the video (ffmpeg)
+ * @property {string|null} burnLang       language to burn (implies burnSubs); null = the first one
+ * @property {string} ffmpeg              ffmpeg binary
+ * @property {"flat"|"series"} structure  output layout
+ * @property {string} nameTemplate        filename template without extension (see template.js)
+ * @property {string|null} dirTemplate    folder template below output; replaces structure when set
+ * @property {string|null} subs           comma-separated subtitle languages; null = all
+ * @property {"srt"|"vtt"|"both"} subsFormat  converted from the other format when the server lacks it
+ * @property {boolean} subsRaw            save subtitles exactly as served (no conversion/cleanup/retiming)
+ * @property {string} subsEncoding       source encoding when a subtitle isn't UTF-8/UTF-16
+ * @property {boolean} subsBom            write subtitles with a UTF-8 BOM
+ * @property {number} subsOffset          shift subtitles by this many ms (negative = earlier)
+ * @property {string|null} subsFps        retime between frame rates, e.g. "25:23.976"
+ * @property {boolean} dryRun             resolve and emit "plan" only
+ * @property {boolean} saveMetadata       write a sidecar .json per video
+ * @property {"nfo"|null} metadata        also write media-server NFO files and artwork (see nfo.js)
+ * @property {string|null} execAfterFile  shell command run after each id (see hooks.js)
+ * @property {string|null} webhook        URL that gets each ItemResult POSTed
+ * @property {number} hookTimeout         ms before a hook command is killed (0 = never)
+ * @property {Record<string, Partial<DownloadSettings>>} seriesOverrides  root series (or movie) id → settings for its items
+ */
+
+/**
+ * @typedef {DownloadSettings & {
+ *   baseUrl: string,
+ *   timeout: number,
+ *   retries: number,
+ *   userAgent: string,
+ *   proxy: string|false|null,
+ *   headers: Record<string, string>,
+ *   cookieJar: string|null,
+ *   authToken: string|null,
+ *   cache: boolean,
+ *   cachePath: string|null,
+ *   cacheTtl: Partial<Record<import("./cache.js").CacheKind, number>>,
+ *   seriesEpEndpoint: string|null,
+ *   seriesEpSeasonParam: string|null,
+ *   searchEndpoint: string,
+ *   discoverLangs: string,
+ *   discoverLevels: string,
+ *   limitRate: string|number|null,
+ *   apiRate: number,
+ *   apiConcurrency: number,
+ *   apiRetries: number,
+ *   recordDir: string|null,
+ *   logger: import("./log.js").Logger
+ * }} ClientOptions
+ * timeout is in seconds; retries applies per file. limitRate caps all transfers
+ * together, e.g. "5M" or "2M,00:00-07:00=unlimited" (see throttle.js).
+ * cachePath defaults to a file per API host in ~/.cache/cin-dl; cacheTtl is in ms.
+ * proxy, headers and cookieJar apply to API calls and downloads alike; authToken
+ * is only sent to the API host (see http.js).
+ * apiRate (requests/s, 0 = no limit), apiConcurrency and apiRetries govern API
+ * calls only, independent of concurrency (see scheduler.js).
+ * recordDir saves every API answer there as a fixture and bypasses the cache
+ * (see fixtures.js).
+ */
+
+/**
+ * @typedef {Object} ResolvedTitle
+ * @property {string} id
+ * @property {"movie"|"series"} kind
+ * @property {string} title        display title, e.g. "Show.S01E02"
+ * @property {string} baseTitle
+ * @property {string|null} season
+ * @property {string|null} episode
+ * @property {object} info         raw allVideoInfo
+ * @property {object[]} qualities  raw transcoddedFiles
+ * @property {object[]} subtitles  raw translations
+ */
+
+/** @type {Omit<ClientOptions, "baseUrl" | "logger" | "cachePath">} */
+export const DEFAULT_OPTIONS = {
+  output: "downloads",
+  quality: "mp4-1080/best",
+  maxFilesize: null,
+  concurrency: 4,
+  connections: 1,
+  skipExisting: true,
+  verify: true,
+  overwrite: false,
+  muxSubs: false,
+  defaultSub: null,
+  muxReplace: false,
+  burnSubs: false,
+  burnLang: null,
+  ffmpeg: "ffmpeg",
+  structure: "flat",
+  nameTemplate: "{title}.{quality}",
+  dirTemplate: null,
+  subs: null,
+  subsFormat: "both",
+  subsRaw: false,
+  subsEncoding: DEFAULT_SUBS_ENCODING,
+  subsBom: false,
+  subsOffset: 0,
+  subsFps: null,
+  dryRun: false,
+  saveMetadata: true,
+  metadata: null,
+  execAfterFile: null,
+  webhook: null,
+  hookTimeout: DEFAULT_HOOK_TIMEOUT_MS,
+  seriesOverrides: {},
+  timeout: 60,
+  retries: 3,
+  userAgent: DEFAULT_USER_AGENT,
+  proxy: null,
+  headers: {},
+  cookieJar: null,
+  authToken: null,
+  cache: true,
+  cacheTtl: {},
+  seriesEpEndpoint: null,
+  seriesEpSeasonParam: null,
+  searchEndpoint: "/android/AdvancedSearch?level=0&videoTitle={query}&staffTitle={query}&page=0",
+  discoverLangs: "ar,en",
+  discoverLevels: "0,1,2,3",
+  limitRate: null,
+  apiRate: 5,
+  apiConcurrency: 4,
+  apiRetries: 4,
+  recordDir: null
+};
+
+const DOWNLOAD_SETTINGS = [
+  "output", "quality", "maxFilesize", "concurrency", "connections", "skipExisting", "verify", "overwrite", "muxSubs", "defaultSub",
+  "muxReplace", "burnSubs", "burnLang", "ffmpeg", "structure", "nameTemplate", "dirTemplate", "subs", "subsFormat", "subsRaw", "subsEncoding",
+  "subsBom", "subsOffset", "subsFps", "dryRun", "saveMetadata", "metadata", "execAfterFile", "webhook",
+  "hookTimeout", "seriesOverrides"
+];
+
+/**
+ * Create a client. It is an EventEmitter; `download()` emits:
+ *   "item-start" { id }
+ *   "plan"       { id, title, quality, dir, files: [{ kind, path, lang?, size }] }  size: probed on dry runs, else null
+ *   "progress"   { id, path, downloaded, total }
+ *   "file-done"  { id, kind: "video" | "subtitle" | "muxed", path, lang?, status }
+ *   "stage"      { id, stage: "video-done" | "subs-done" | "muxed" }
+ *   "item-done"  ItemResult (after the --exec-after-file/--webhook hooks)
+ *   "error"      { id, error }   (only emitted when someone listens)
+ *   "api"        { state: "open" | "half-open" | "closed" | "rate-limited", retryAt? }  API pauses (see scheduler.js)
+ * and `verifyLibrary()` emits "verify" (VerifyResult), plus "progress"/"file-done" while repairing.
+ *
+ * @param {Partial<ClientOptions> & { baseUrl: string }} options
+ */
+export function createClient(options) {
+  const opts = {
+    ...DEFAULT_OPTIONS,
+    cachePath: null,
+    logger: silentLogger,
+    ...options
+  };
+  if (!opts.baseUrl) throw new Error("createClient: baseUrl is required");
+
+  const log = opts.logger;
+  const emitter = new EventEmitter();
+  // an unhandled "error" event would throw; failures are also in the results
+  const emit = (event, payload) => {
+    if (event === "error" && emitter.listenerCount("error") === 0) return;
+    emitter.emit(event, payload);
+  };
+
+  const http = createHttp({ ...opts, log });
+  const cache = createCache({
+    path: opts.cachePath || defaultCachePath(opts.baseUrl),
+    enabled: opts.cache && !opts.recordDir,
+    ttl: opts.cacheTtl,
+    log
+  });
+  const scheduler = createApiScheduler({
+    rate: opts.apiRate,
+    concurrency: opts.apiConcurrency,
+    retries: opts.apiRetries,
+    log,
+    onState: (s) => emit("api", s)
+  });
+  const recorder = opts.recordDir ? createRecorder(opts.recordDir, { http, baseUrl: opts.baseUrl, log }) : null;
+  const api = createApi(http, { ...opts, cache, scheduler, recorder });
+  const limiter = createRateLimiter(opts.limitRate, { log });
+  const downloader = createDownloader({ http, log, retries: opts.retries, limiter });
+  const discovery = createDiscovery({
+    api,
+    log,
+    discoverLangs: opts.discoverLangs,
+    discoverLevels: opts.discoverLevels,
+    seriesEpSeasonParam: opts.seriesEpSeasonParam
+  });
+
+  const ctx = { api, log, downloader, emit };
+
+  /**
+   * Fetch everything the API knows about one id.
+   * @param {string} id
+   * @returns {Promise<ResolvedTitle>}
+   */
+  async function resolve(id) {
+    const [info, qualities, subsResp] = await Promise.all([
+      api.getAllVideoInfo(id),
+      api.getTranscodedFiles(id),
+      api.getTranslationFiles(id)
+    ]);
+    return {
+      id: String(id),
+      kind: String(info?.kind || "") === "2" ? "series" : "movie",
+      title: buildTitle(info),
+      baseTitle: chooseBaseTitle(info),
+      season: pad2(info?.season),
+      episode: pad2(info?.episodeNummer),
+      info,
+      qualities,
+      subtitles: Array.isArray(subsResp?.translations) ? subsResp.translations : []
+    };
+  }
+
+  /**
+   * Every transcoded file of an id with its probed size; `selected` marks the
+   * one `download()` would pick with the current (or given) quality settings.
+   * @param {string} id
+   * @param {{ quality?: string, maxFilesize?: number|null, signal?: AbortSignal }} [opts]
+   * @returns {Promise<(import("./quality.js").QualityInfo & { selected: boolean })[]>}
+   */
+  async function listQualities(id, { quality = opts.quality, maxFilesize = opts.maxFilesize, signal } = {}) {
+    const qualities = await api.getTranscodedFiles(id);
+    const sizes = await probeQualitySizes(downloader, qualities, signal);
+    const chosen = pickQuality(qualities, quality, { maxFilesize, sizes });
+    return qualities.map(q => ({ ...describeQuality(q, sizes), selected: q === chosen }));
+  }
+
+  /**
+   * Root series id → ordered episode ids.
+   * @param {string|string[]} seriesId
+   * @param {string[]|null} [seasons]
+   * @param {{ fresh?: boolean }} [opts]  fresh: ask the API even if the answers are cached
+   * @returns {Promise<string[]>}
+   */
+  function discoverSeries(seriesId, seasons = null, { fresh = false } = {}) {
+    const ids = Array.isArray(seriesId) ? seriesId : [seriesId];
+    return discovery.expandSeriesToEpisodeIds(ids.map(String), seasons?.length ? seasons.map(String) : null, { fresh });
+  }
+
+  /**
+   * Episode id(s) → every episode of the series they belong to.
+   * @param {string|string[]} episodeId
+   * @param {string[]|null} [seasons]
+   * @returns {Promise<string[]>}
+   */
+  function discoverFromEpisodes(episodeId, seasons = null) {
+    const ids = Array.isArray(episodeId) ? episodeId : [episodeId];
+    return discovery.expandFromEpisodes(ids, seasons?.length ? seasons.map(String) : null);
+  }
+
+  /**
+   * @param {string} query
+   * @returns {Promise<import("./search.js").SearchItem[]>}
+   */
+  function search(query) {
+    return searchTitles(api, log, query);
+  }
+
+  /* ---- run `work` for every id under --concurrency, with hooks and (unless quiet) item events ---- */
+  async function runItems(ids, overrides, work, { quiet = false } = {}) {
+    const { signal, drainSignal } = overrides;
+    // tvshow.nfo and the show's artwork are written once per show and run
+    const cfg = { signal, nfoShows: new Map() };
+    for (const k of DOWNLOAD_SETTINGS) cfg[k] = overrides[k] !== undefined ? overrides[k] : opts[k];
+    cfg.output = path.resolve(cfg.output);
+
+    const limit = pLimit(Math.max(1, Number(cfg.concurrency) || 1));
+    const results = [];
+    const jobs = ids.map((id) => limit(async () => {
+      if (signal?.aborted || drainSignal?.aborted) return; // skip queued jobs
+      if (!quiet) emit("item-start", { id });
+      const startedAt = Date.now();
+      let r;
+      try {
+        // no retry here: the scheduler retries API calls and the downloader each file
+        r = await work(id, cfg);
+      } catch (e) {
+        if (signal?.aborted) {
+          r = { id, status: "cancelled" };
+        } else {
+          log.error(`Error processing ${id}: ${e.message}`);
+          r = { id, status: "error", error: e.message };
+          if (!quiet) emit("error", { id, error: e });
+        }
+      }
+      r.durationMs = Date.now() - startedAt;
+      if (!cfg.dryRun && r.status !== "cancelled") {
+        await runItemHooks(r, cfg, { log, userAgent: opts.userAgent, signal });
+      }
+      results.push(r);
+      if (!quiet) emit("item-done", r);
+    }));
+
+    await Promise.all(jobs);
+    return results;
+  }
+
+  /**
+   * Download ids. `signal` aborts everything (in-flight files keep their .part);
+   * `drainSignal` only stops ids that haven't started yet.
+   * @param {string[]} ids
+   * @param {Partial<DownloadSettings> & { signal?: AbortSignal, drainSignal?: AbortSignal }} [overrides]
+   * @returns {Promise<import("./pipeline.js").ItemResult[]>}
+   */
+  function download(ids, overrides = {}) {
+    return runItems(uniqStrings(ids), overrides, (id, cfg) => processMovie(ctx, id, cfg));
+  }
+
+  /**
+   * Resolve ids without downloading anything, probing every file's size (a dry
+   * run that only emits "plan").
+   * @param {string[]} ids
+   * @param {Partial<DownloadSettings> & { signal?: AbortSignal, options?: object }} [overrides]  options: stored in the plan as is
+   * @returns {Promise<import("./plan.js").Plan>}
+   */
+  async function plan(ids, overrides = {}) {
+    const unique = uniqStrings(ids);
+    const results = await runItems(unique, { ...overrides, dryRun: true }, (id, cfg) => processMovie(ctx, id, cfg), { quiet: true });
+    return createPlan(results, { ids: unique, baseUrl: opts.baseUrl, output: path.resolve(overrides.output ?? opts.output), options: overrides.options });
+  }
+
+  /**
+   * Download a plan exactly: its qualities and paths, whatever the settings say
+   * now. The other settings (subtitle processing, muxing, hooks, ...) apply;
+   * `dryRun` has to be asked for here, the client's default doesn't count.
+   * @param {import("./plan.js").Plan} planned
+   * @param {Partial<DownloadSettings> & { signal?: AbortSignal, drainSignal?: AbortSignal }} [overrides]
+   * @returns {Promise<import("./pipeline.js").ItemResult[]>}
+   */
+  function runPlan(planned, overrides = {}) {
+    const items = new Map(planned.items.map(item => [item.id, item]));
+    return runItems([...items.keys()], { dryRun: false, ...overrides }, (id, cfg) => processPlannedItem(ctx, items.get(id), cfg));
+  }
+
+  /**
+   * Re-check a downloaded library (sidecars, sizes, ETags) and optionally repair it.
+   * @param {string} dir
+   * @param {{ repair?: boolean, signal?: AbortSignal }} [opts]
+   * @returns {Promise<import("./verify.js").VerifyResult[]>}
+   */
+  function verifyLibrary(dir, { repair = false, signal } = {}) {
+    return verifyDir({ ...ctx, ffmpeg: opts.ffmpeg }, path.resolve(dir), { repair, signal });
+  }
+
+  return Object.assign(emitter, {
+    options: opts,
+    log,
+    api,
+    cache,
+    /** null unless recordDir is set */
+    recorder,
+    /** @returns {ReturnType<ReturnType<typeof createApiScheduler>["state"]>} */
+    apiState: () => scheduler.state(),
+    resolve,
+    listQualities,
+    discoverSeries,
+    discoverFromEpisodes,
+    search,
+    download,
+    plan,
+    runPlan,
+    verifyLibrary
+  });
+}
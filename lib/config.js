@@ -0,0 +1,125 @@
+/**
+ * cin-dl : config file with profiles and per-series overrides.
+ *
+ *   ~/.config/cin-dl/config.yaml   (or config.yml / config.json; --config or CIN_DL_CONFIG to pick another)
+ *
+ *   defaults:                      # any CLI option, spelled like the flag
+ *     quality: mp4-1080/best
+ *     subs: ar,en
+ *   profiles:                      # --profile kids
+ *     kids:
+ *       output: ~/Videos/Kids
+ *       quality: mp4-480
+ *   series:                        # root series (or movie) id → overrides for its episodes only
+ *     "3293":
+ *       quality: mp4-720
+ *       subs: ar
+ *       structure: series
+ *
+ * Precedence, lowest first: built-in default, .env, defaults, profile, series, command-line flag.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import yaml from "js-yaml";
+
+const FILE_NAMES = ["config.yaml", "config.yml", "config.json"];
+
+/** @returns {string} ~/.config/cin-dl (XDG_CONFIG_HOME, %APPDATA% on Windows) */
+export function configDir() {
+  if (process.env.XDG_CONFIG_HOME) return path.join(process.env.XDG_CONFIG_HOME, "cin-dl");
+  if (process.platform === "win32" && process.env.APPDATA) return path.join(process.env.APPDATA, "cin-dl");
+  return path.join(os.homedir(), ".config", "cin-dl");
+}
+
+/* ---- the first config file that exists; an explicit path must exist ---- */
+export function findConfigFile(explicit = null) {
+  if (explicit) {
+    if (!fs.existsSync(explicit)) throw new Error(`Config file not found: ${explicit}`);
+    return path.resolve(explicit);
+  }
+  const dir = configDir();
+  return FILE_NAMES.map(n => path.join(dir, n)).find(fp => fs.existsSync(fp)) || null;
+}
+
+/* ---- "nameTemplate" → "name-template"; "~/x" → home; ["ar","en"] → "ar,en" ---- */
+function normalizeLayer(obj, where, allowed) {
+  if (obj == null) return {};
+  if (typeof obj !== "object" || Array.isArray(obj)) throw new Error(`${where} must be a mapping of option → value`);
+  const out = {};
+  for (const [rawKey, rawValue] of Object.entries(obj)) {
+    const key = rawKey.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+    if (!allowed.includes(key)) throw new Error(`${where}: "${rawKey}" can't be set in the config file`);
+    let value = rawValue;
+    if (Array.isArray(value)) value = value.join(",");
+    if (typeof value === "string" && /^~(?=$|[\\/])/.test(value)) value = path.join(os.homedir(), value.slice(1));
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * @typedef {Object} LoadedConfig
+ * @property {string|null} file
+ * @property {{ source: string, values: Record<string, any> }[]} layers   lowest precedence first
+ * @property {Record<string, Record<string, any>>} series                 id → overrides
+ * @property {string[]} profiles                                           names defined in the file
+ */
+
+/**
+ * Read the config file and pick a profile.
+ * @param {{ file?: string|null, profile?: string|null, allowed: string[], seriesAllowed: string[] }} opts
+ *   allowed/seriesAllowed: option names (kebab-case) a layer may set
+ * @returns {LoadedConfig}
+ */
+export function loadConfig({ file = null, profile = null, allowed, seriesAllowed }) {
+  const fp = findConfigFile(file);
+  if (!fp) {
+    if (profile) throw new Error(`--profile ${profile}: no config file (looked in ${configDir()})`);
+    return { file: null, layers: [], series: {}, profiles: [] };
+  }
+  let data;
+  try {
+    const text = fs.readFileSync(fp, "utf8");
+    data = /\.json$/i.test(fp) ? JSON.parse(text) : yaml.load(text);
+  } catch (e) {
+    throw new Error(`Can't read ${fp}: ${e.message}`);
+  }
+  data = data || {};
+  const unknown = Object.keys(data).filter(k => !["defaults", "profiles", "series"].includes(k));
+  if (unknown.length) throw new Error(`${fp}: unknown section(s) ${unknown.join(", ")} (expected defaults, profiles, series)`);
+
+  const profiles = data.profiles || {};
+  const layers = [{ source: "config: defaults", values: normalizeLayer(data.defaults, "defaults", allowed) }];
+  if (profile) {
+    if (!Object.hasOwn(profiles, profile)) {
+      const known = Object.keys(profiles);
+      throw new Error(`Unknown profile "${profile}"${known.length ? ` (have: ${known.join(", ")})` : ""}`);
+    }
+    layers.push({ source: `config: profile ${profile}`, values: normalizeLayer(profiles[profile], `profiles.${profile}`, allowed) });
+  }
+  const series = {};
+  for (const [id, values] of Object.entries(data.series || {})) {
+    if (!/^\d+$/.test(id)) throw new Error(`series: "${id}" is not a numeric id`);
+    series[id] = normalizeLayer(values, `series.${id}`, seriesAllowed);
+  }
+  return { file: fp, layers, series, profiles: Object.keys(profiles) };
+}
+
+/**
+ * Merged values of the given layers plus, per option, the layer it came from.
+ * @param {{ source: string, values: Record<string, any> }[]} layers
+ * @returns {{ values: Record<string, any>, sources: Record<string, string> }}
+ */
+export function mergeLayers(layers) {
+  const values = {};
+  const sources = {};
+  for (const { source, values: v } of layers) {
+    for (const [k, value] of Object.entries(v)) {
+      values[k] = value;
+      sources[k] = source;
+    }
+  }
+  return { values, sources };
+}
@@ -0,0 +1,170 @@
+/**
+ * cin-dl : cookie jar (`--cookies <file>`).
+ *
+ * The file is in the Netscape cookies.txt format that browser export
+ * extensions and other downloaders use. Cookies the server sets during a run
+ * are written back to it, so a session carries over to the next run.
+ */
+
+import fs from "fs";
+import path from "path";
+import { silentLogger } from "./log.js";
+
+/**
+ * @typedef {Object} Cookie
+ * @property {string} domain       without a leading dot
+ * @property {boolean} subdomains  also sent to subdomains of `domain`
+ * @property {string} path
+ * @property {boolean} secure
+ * @property {boolean} httpOnly
+ * @property {number} expires      epoch seconds; 0 = session cookie
+ * @property {string} name
+ * @property {string} value
+ */
+
+/** @returns {Cookie[]} */
+export function parseCookiesTxt(text) {
+  const cookies = [];
+  for (let line of String(text).split(/\r?\n/)) {
+    let httpOnly = false;
+    if (line.startsWith("#HttpOnly_")) {
+      httpOnly = true;
+      line = line.slice("#HttpOnly_".length);
+    }
+    if (!line.trim() || line.startsWith("#")) continue;
+    const f = line.split("\t");
+    if (f.length < 7) continue;
+    cookies.push({
+      domain: f[0].replace(/^\./, "").toLowerCase(),
+      subdomains: f[1].toUpperCase() === "TRUE",
+      path: f[2] || "/",
+      secure: f[3].toUpperCase() === "TRUE",
+      httpOnly,
+      expires: Number(f[4]) || 0,
+      name: f[5],
+      value: f.slice(6).join("\t")
+    });
+  }
+  return cookies;
+}
+
+/** @param {Cookie[]} cookies */
+export function formatCookiesTxt(cookies) {
+  const lines = ["# Netscape HTTP Cookie File", "# Written by cin-dl; edit with care.", ""];
+  for (const c of cookies) {
+    lines.push([
+      `${c.httpOnly ? "#HttpOnly_" : ""}${c.subdomains ? "." : ""}${c.domain}`,
+      c.subdomains ? "TRUE" : "FALSE",
+      c.path,
+      c.secure ? "TRUE" : "FALSE",
+      String(c.expires || 0),
+      c.name,
+      c.value
+    ].join("\t"));
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/* ---- one Set-Cookie header → Cookie (expires < now means "delete it"); null if it isn't for this host ---- */
+export function parseSetCookie(header, requestUrl) {
+  const url = new URL(requestUrl);
+  const [pair, ...attrs] = String(header).split(";");
+  const eq = pair.indexOf("=");
+  if (eq <= 0) return null;
+  const host = url.hostname.toLowerCase();
+  const cookie = {
+    domain: host,
+    subdomains: false,
+    path: url.pathname.replace(/\/[^/]*$/, "") || "/",
+    secure: false,
+    httpOnly: false,
+    expires: 0,
+    name: pair.slice(0, eq).trim(),
+    value: pair.slice(eq + 1).trim()
+  };
+  let maxAge = null;
+  for (const attr of attrs) {
+    const [k, ...rest] = attr.split("=");
+    const key = k.trim().toLowerCase();
+    const v = rest.join("=").trim();
+    if (key === "domain" && v) {
+      const domain = v.replace(/^\./, "").toLowerCase();
+      if (host !== domain && !host.endsWith(`.${domain}`)) return null;
+      Object.assign(cookie, { domain, subdomains: true });
+    } else if (key === "path" && v.startsWith("/")) {
+      cookie.path = v;
+    } else if (key === "expires") {
+      const t = Date.parse(v);
+      if (!Number.isNaN(t)) cookie.expires = Math.floor(t / 1000);
+    } else if (key === "max-age" && /^-?\d+$/.test(v)) {
+      maxAge = Number(v);
+    } else if (key === "secure") {
+      cookie.secure = true;
+    } else if (key === "httponly") {
+      cookie.httpOnly = true;
+    }
+  }
+  if (maxAge !== null) cookie.expires = maxAge <= 0 ? 1 : Math.floor(Date.now() / 1000) + maxAge;
+  return cookie;
+}
+
+/**
+ * @param {string} file   created on the first cookie the server sets
+ * @param {{ log?: import("./log.js").Logger }} [opts]
+ */
+export function createCookieJar(file, { log = silentLogger } = {}) {
+  /** @type {Cookie[]} */
+  let cookies = [];
+  try {
+    cookies = parseCookiesTxt(fs.readFileSync(file, "utf8"));
+    log.debug(`Loaded ${cookies.length} cookie(s) from ${file}`);
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Can't read cookie file ${file}: ${e.message}`);
+  }
+
+  const now = () => Math.floor(Date.now() / 1000);
+  const live = (c) => !c.expires || c.expires > now();
+  const same = (a, b) => a.name === b.name && a.domain === b.domain && a.path === b.path;
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, formatCookiesTxt(cookies.filter(live)), { mode: 0o600 });
+      fs.renameSync(`${file}.tmp`, file);
+    } catch (e) {
+      log.warn(`Failed to save cookies to ${file}: ${e.message}`);
+    }
+  }
+
+  return {
+    /** @returns {string|null} Cookie header for a request to `url` */
+    header(url) {
+      const u = new URL(url);
+      const host = u.hostname.toLowerCase();
+      const matching = cookies.filter(c =>
+        live(c) &&
+        (host === c.domain || (c.subdomains && host.endsWith(`.${c.domain}`))) &&
+        (u.pathname === c.path || u.pathname.startsWith(c.path.endsWith("/") ? c.path : `${c.path}/`)) &&
+        (!c.secure || u.protocol === "https:"));
+      // longer paths first, as browsers send them
+      matching.sort((a, b) => b.path.length - a.path.length);
+      return matching.length ? matching.map(c => `${c.name}=${c.value}`).join("; ") : null;
+    },
+
+    /** remember the Set-Cookie headers of a response to `url` */
+    store(url, setCookie) {
+      const headers = Array.isArray(setCookie) ? setCookie : setCookie ? [setCookie] : [];
+      let changed = false;
+      for (const h of headers) {
+        const c = parseSetCookie(h, url);
+        if (!c) continue;
+        cookies = cookies.filter(x => !same(x, c));
+        if (live(c)) cookies.push(c);
+        changed = true;
+      }
+      if (changed) save();
+    },
+
+    get size() { return cookies.filter(live).length; }
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * cin-dl : series → episode id discovery (responses are cached by api.js).
+ */
+
+export function normalizeEpisodeIds(list) {
+  return (list || []).map(e => String(e?.id ?? e?.nb ?? e)).filter(Boolean);
+}
+
+export function normalizeVideoSeasonItems(items, seasonFilters) {
+  const want = (season) => !seasonFilters || seasonFilters.length === 0 ? true : seasonFilters.map(String).includes(String(season ?? ""));
+  return (items || [])
+    .filter(it => String(it?.kind || "") === "2")
+    .filter(it => want(it?.season))
+    .map(it => ({
+      id: String(it?.nb ?? "").trim(),
+      season: Number(it?.season ?? 0),
+      episode: Number(it?.episodeNummer ?? 0),
+      rootSeries: String(it?.rootSeries ?? "")
+    }))
+    .filter(it => it.id)
+    .sort((a, b) => (a.season - b.season) || (a.episode - b.episode))
+    .map(x => x.id);
+}
+
+/**
+ * @param {{
+ *   api: ReturnType<typeof import("./api.js").createApi>,
+ *   log: import("./log.js").Logger,
+ *   discoverLangs: string,
+ *   discoverLevels: string,
+ *   seriesEpSeasonParam?: string|null
+ * }} deps
+ */
+export function createDiscovery({ api, log, discoverLangs, discoverLevels, seriesEpSeasonParam = null }) {
+  async function discoverEpisodesByEndpoint(seriesId, seasonFilters) {
+    const episodes = [];
+    if (seasonFilters && seasonFilters.length > 0 && seriesEpSeasonParam) {
+      for (const s of seasonFilters) {
+        const data = await api.getEpisodesBySeries(seriesId, s);
+        if (data) episodes.push(...normalizeEpisodeIds(data));
+      }
+    } else {
+      const data = await api.getEpisodesBySeries(seriesId, null);
+      if (data) episodes.push(...normalizeEpisodeIds(data));
+    }
+    return [...new Set(episodes)];
+  }
+
+  async function discoverEpisodesByVideoGroups(seriesId, seasonFilters, fresh) {
+    const langs = discoverLangs.split(",").map(s => s.trim()).filter(Boolean);
+    const levels = discoverLevels.split(",").map(s => s.trim()).filter(Boolean);
+
+    const found = new Map();
+    for (const lang of langs) {
+      for (const level of levels) {
+        try {
+          const groups = await api.getVideoGroups(lang, level, { fresh });
+          for (const g of groups) {
+            for (const c of (g?.content || [])) {
+              if (String(c?.kind || "") !== "2") continue;
+              if (String(c?.rootSeries || "") !== String(seriesId)) continue;
+              const id = String(c?.nb || "");
+              if (!id) continue;
+              const season = Number(c?.season ?? 0);
+              if (seasonFilters && seasonFilters.length && !seasonFilters.map(String).includes(String(season))) continue;
+              if (!found.has(id)) found.set(id, { id, season: Number(c?.season ?? 0), episode: Number(c?.episodeNummer ?? 0) });
+            }
+          }
+        } catch (e) {
+          log.debug(`videoGroups failed for lang=${lang} level=${level}: ${e.message}`);
+        }
+      }
+    }
+    return [...found.values()].sort((a, b) => (a.season - b.season) || (a.episode - b.episode)).map(x => x.id);
+  }
+
+  /**
+   * Root series id(s) → ordered episode ids, via videoSeason, the configured
+   * endpoint, then a videoGroups crawl.
+   * @param {string[]} seriesIds
+   * @param {string[]|null} seasonFilters
+   * @param {{ fresh?: boolean }} [opts]  fresh: ask the API even if the answers are cached
+   */
+  async function expandSeriesToEpisodeIds(seriesIds, seasonFilters, { fresh = false } = {}) {
+    const out = [];
+    for (const sidRaw of seriesIds) {
+      const sid = String(sidRaw);
+      let eps = [];
+
+      try {
+        const vs = await api.getVideoSeason(sid, { fresh });
+        const viaVS = normalizeVideoSeasonItems(vs, seasonFilters);
+        if (viaVS.length) {
+          eps = viaVS;
+          log.info(`Discovered ${eps.length} episode(s) for series ${sid} via videoSeason.`);
+        }
+      } catch (e) { log.debug(`videoSeason failed for ${sid}: ${e.message}`); }
+
+      if (!eps || eps.length === 0) {
+        try {
+          const viaCfg = await discoverEpisodesByEndpoint(sid, seasonFilters);
+          if (viaCfg.length) {
+            eps = viaCfg;
+            log.info(`Discovered ${eps.length} episode(s) for series ${sid} via configured endpoint.`);
+          }
+        } catch (e) { log.debug(`configured endpoint failed for ${sid}: ${e.message}`); }
+      }
+
+      if (!eps || eps.length === 0) {
+        const crawl = await discoverEpisodesByVideoGroups(sid, seasonFilters, fresh);
+        eps = crawl;
+        if (eps.length) log.info(`Discovered ${eps.length} episode(s) for series ${sid} via videoGroups.`);
+      }
+
+      if (eps.length === 0) {
+        log.warn(`No episodes discovered for series ${sid}.`);
+      }
+
+      out.push(...eps);
+    }
+    return [...new Set(out)];
+  }
+
+  /**
+   * Episode id(s) → every episode of the series they belong to (videoSeason only).
+   * @param {string[]} episodeIds
+   * @param {string[]|null} seasonFilters
+   */
+  async function expandFromEpisodes(episodeIds, seasonFilters) {
+    const all = [];
+    for (const ep of episodeIds.map(String)) {
+      try {
+        const vs = await api.getVideoSeason(ep);
+        const expanded = normalizeVideoSeasonItems(vs, seasonFilters);
+        if (expanded.length) {
+          log.info(`From episode ${ep}: discovered ${expanded.length} episode(s) via videoSeason.`);
+          all.push(...expanded);
+        } else {
+          log.warn(`No episodes discovered via videoSeason for starting episode ${ep}.`);
+        }
+      } catch (e) {
+        log.warn(`videoSeason failed for ${ep}: ${e.message}`);
+      }
+    }
+    return [...new Set(all)];
+  }
+
+  return { expandSeriesToEpisodeIds, expandFromEpisodes };
+}
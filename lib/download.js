@@ -0,0 +1,621 @@
+/**
+ * cin-dl : atomic, resumable, optionally segmented downloads.
+ *
+ * Every download goes to `<file>.part` (or `<file>.part.segN` pieces) and is
+ * renamed into place only once its size checks out, so an interrupted run can
+ * always be continued with HTTP Range (If-Range against the ETag the `.part`
+ * was started under, kept in `<file>.part.etag`). HLS playlists are fetched segment by
+ * segment into `<file>.part.hls/` and joined at the end. Files already on disk
+ * are only kept when they still match what the server (and the sidecar) says.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import pLimit from "p-limit";
+import pRetry, { AbortError } from "p-retry";
+import prettyBytes from "pretty-bytes";
+import { pipeline } from "stream/promises";
+import { remuxToMp4 } from "./ffmpeg.js";
+import { codedError, fileSize, isExpiringSoon, parseContentRange, parseExpiryEpoch, safeUnlink } from "./helpers.js";
+import { isHlsUrl, parsePlaylist } from "./hls.js";
+import { pickVariant } from "./quality.js";
+import { silentLogger } from "./log.js";
+
+/**
+ * @typedef {Object} DownloadOptions
+ * @property {boolean} [skipExisting]  keep an existing target file
+ * @property {boolean} [overwrite]     delete an existing target file first
+ * @property {number} [connections]    byte-range connections for this file (1 = single stream)
+ * @property {string} [quality]        HLS: variant to pick, e.g. "mp4-720"
+ * @property {string|null} [ffmpeg]    HLS: remux the joined segments into MP4 with this binary
+ * @property {boolean} [verify]        check an existing file against the server before keeping it (default true)
+ * @property {FileFacts|null} [expected]  what the sidecar recorded for this file
+ * @property {AbortSignal} [signal]    aborts the transfer; the .part file is kept
+ * @property {(p: { downloaded: number, total: number|null }) => void} [onProgress]
+ */
+
+/**
+ * @typedef {Object} FileFacts
+ * @property {number|null} size
+ * @property {string|null} etag
+ */
+
+/**
+ * @typedef {FileFacts & { status: "downloaded"|"kept"|"repaired" }} DownloadResult
+ */
+
+/**
+ * @typedef {Object} ExistingCheck
+ * @property {"keep"|"resume"|"restart"} action
+ * @property {string[]} reasons     why the file doesn't match; empty when kept
+ * @property {number} size          local size
+ * @property {number|null} total    size the server reports
+ * @property {string|null} etag
+ * @property {boolean} probed       false if the server couldn't be asked
+ */
+
+/**
+ * A URL, or a provider called with no argument for the current URL and with
+ * the URL that just failed to get a re-signed one.
+ * @typedef {string | ((staleUrl?: string) => Promise<string>)} UrlSource
+ */
+
+const AUTH_STATUSES = new Set([401, 403]);
+const MIN_SEGMENT_BYTES = 1024 * 1024;
+// HLS segments fetched at once unless --connections asks for more
+const HLS_CONCURRENCY = 4;
+
+/* ---- what makes two playlists' pieces the same: segment URIs minus their (signed) query, key URI and IV ---- */
+function playlistFingerprint(pl) {
+  const bare = (uri) => String(uri ?? "").split("?")[0];
+  const hash = crypto.createHash("sha1");
+  if (pl.map) hash.update(`init ${bare(pl.map.uri)}\n`);
+  for (const sg of pl.segments) hash.update(`${bare(sg.uri)} ${sg.key ? `${bare(sg.key.uri)} ${sg.key.iv.toString("hex")}` : "-"}\n`);
+  return hash.digest("hex");
+}
+
+/**
+ * @param {{
+ *   http: import("axios").AxiosInstance,
+ *   log?: import("./log.js").Logger,
+ *   retries?: number,
+ *   limiter?: ReturnType<typeof import("./throttle.js").createRateLimiter> | null
+ * }} deps
+ */
+export function createDownloader({ http, log = silentLogger, retries = 3, limiter = null }) {
+  /* ---- pipe a response body into a file; partial data is flushed on failure ---- */
+  function pipeToFile(data, fp, { append, onBytes }) {
+    return new Promise((resolve, reject) => {
+      const ws = fs.createWriteStream(fp, { flags: append ? "a" : "w" });
+      // the shared bandwidth limit sits between the response and the file
+      const src = limiter?.limited ? data.pipe(limiter.stream()) : data;
+      let settled = false;
+      const fail = (err) => {
+        if (settled) return;
+        settled = true;
+        src.unpipe(ws);
+        if (src !== data) data.unpipe(src);
+        // flush what we have so the next attempt can resume from it
+        ws.end(() => reject(err));
+      };
+      src.on("data", (chunk) => onBytes?.(chunk.length));
+      data.on("error", fail);
+      data.on("aborted", () => fail(new Error("ECONNRESET: stream aborted")));
+      ws.on("error", fail);
+      ws.on("finish", () => { if (settled) return; settled = true; resolve(); });
+      src.pipe(ws);
+    });
+  }
+
+  /* ---- the ETag the .part was downloaded under, so a resume can't splice two versions of a file ---- */
+  function partEtagPath(finalPath) {
+    return `${finalPath}.part.etag`;
+  }
+
+  function readPartEtag(finalPath) {
+    try { return fs.readFileSync(partEtagPath(finalPath), "utf8").trim() || null; } catch { return null; }
+  }
+
+  function writePartEtag(finalPath, etag) {
+    if (etag) fs.writeFileSync(partEtagPath(finalPath), etag);
+    else safeUnlink(partEtagPath(finalPath));
+  }
+
+  async function streamDownloadAtomic(url, finalPath, opts) {
+    // keep whatever a previous attempt left behind and continue from there
+    const tmpPath = `${finalPath}.part`;
+    const offset = fileSize(tmpPath);
+    const partEtag = offset > 0 ? readPartEtag(finalPath) : null;
+
+    const { data, headers, status } = await http.get(url, {
+      responseType: "stream",
+      signal: opts.signal,
+      // If-Range: the server sends the whole file (200) instead of the rest when it has changed
+      headers: offset > 0 ? { Range: `bytes=${offset}-`, ...(partEtag && { "If-Range": partEtag }) } : {},
+      validateStatus: (s) => (s >= 200 && s < 300) || s === 416
+    });
+    const etag = headers.etag || null;
+
+    if (status === 416) {
+      // nothing left to fetch: either .part is already complete or it is bogus
+      data.destroy();
+      const range = parseContentRange(headers["content-range"]);
+      if (range?.total != null && range.total === offset && !(partEtag && etag && partEtag !== etag)) {
+        fs.renameSync(tmpPath, finalPath);
+        safeUnlink(partEtagPath(finalPath));
+        return { size: offset, etag: etag ?? partEtag };
+      }
+      safeUnlink(tmpPath);
+      safeUnlink(partEtagPath(finalPath));
+      throw codedError("HTTP_416", `range ${offset}- not satisfiable, restarting`);
+    }
+
+    let append = false;
+    let expected = Number(headers["content-length"] || 0) || null;
+    if (status === 206) {
+      const range = parseContentRange(headers["content-range"]);
+      if (range?.start !== offset || (partEtag && etag && partEtag !== etag)) {
+        data.destroy();
+        safeUnlink(tmpPath);
+        safeUnlink(partEtagPath(finalPath));
+        if (range?.start === offset) throw codedError("ETAG_CHANGED", `${path.basename(finalPath)} changed on the server (ETag ${partEtag} → ${etag}), restarting`);
+        throw codedError("BAD_RANGE", `asked for ${offset}-, got "${headers["content-range"] || ""}"`);
+      }
+      append = true;
+      expected = range.total ?? (expected != null ? offset + expected : null);
+      log.debug(`Resuming ${path.basename(finalPath)} at ${prettyBytes(offset)}`);
+    } else if (offset > 0) {
+      log.debug(`Server ${partEtag ? "sent a changed or whole" : "ignored Range for"} ${path.basename(finalPath)}; restarting from 0`);
+    }
+    if (!append) writePartEtag(finalPath, etag);
+
+    let downloaded = append ? offset : 0;
+    opts.onProgress?.({ downloaded, total: expected });
+    await pipeToFile(data, tmpPath, {
+      append,
+      onBytes: (n) => {
+        downloaded += n;
+        opts.onProgress?.({ downloaded, total: expected });
+      }
+    });
+
+    const size = fileSize(tmpPath);
+    if (expected != null && size !== expected) {
+      // a short file stays as .part and gets resumed; a long one can't be trusted
+      if (size > expected) {
+        safeUnlink(tmpPath);
+        safeUnlink(partEtagPath(finalPath));
+      }
+      throw codedError("SIZE_MISMATCH", `got ${size} bytes, expected ${expected}`);
+    }
+
+    fs.renameSync(tmpPath, finalPath);
+    safeUnlink(partEtagPath(finalPath));
+    return { size, etag };
+  }
+
+  /**
+   * Wraps a signed URL so it can be re-fetched once it expires.
+   * @param {string} initialUrl
+   * @param {string} label          used in log lines
+   * @param {() => Promise<string|null>} refetch
+   * @returns {(staleUrl?: string) => Promise<string>}
+   */
+  function refreshableUrl(initialUrl, label, refetch) {
+    let current = initialUrl;
+    let pending = null;
+    // called with no argument → current URL; called with the URL that just failed → re-sign it
+    return async (staleUrl) => {
+      if (!staleUrl || staleUrl !== current) return current;
+      // parallel segments share one provider; the first to notice re-signs for all
+      pending ??= (async () => {
+        try {
+          log.info(`Refreshing signed URL for ${label}...`);
+          const next = await refetch();
+          if (!next) throw codedError("URL_REFRESH_FAILED", `no fresh URL for ${label}`);
+          current = next;
+          return current;
+        } finally {
+          pending = null;
+        }
+      })();
+      return pending;
+    };
+  }
+
+  async function withUrlRetry(getUrl, label, attempt, signal) {
+    let url = await getUrl();
+    let stale = false;
+    return pRetry(async (n) => {
+      // re-sign after an auth failure, or before a retry that would outlive the URL
+      if (stale || (n > 1 && isExpiringSoon(parseExpiryEpoch(url), 1))) {
+        url = await getUrl(url);
+        stale = false;
+      }
+      try {
+        return await attempt(url);
+      } catch (e) {
+        if (AUTH_STATUSES.has(e.status)) stale = true;
+        throw e;
+      }
+    }, {
+      retries: Math.max(0, retries),
+      factor: 2,
+      minTimeout: 800,
+      maxTimeout: 4000,
+      signal,
+      onFailedAttempt: (e) => {
+        if (signal?.aborted) throw e;
+        log.warn(`Retry ${e.attemptNumber}/${e.retriesLeft + e.attemptNumber} for ${label}: ${e.message}`);
+      }
+    });
+  }
+
+  /* ============================================
+   * 🧵 Segmented (multi-connection) downloads
+   * ============================================ */
+  function segmentManifestPath(finalPath) {
+    return `${finalPath}.part.segments.json`;
+  }
+
+  /* ---- one-byte Range request: total size, ETag and whether Range is honoured ---- */
+  async function probeRemote(url, signal) {
+    const { data, headers, status } = await http.get(url, {
+      responseType: "stream",
+      signal,
+      headers: { Range: "bytes=0-0" },
+      validateStatus: (s) => s >= 200 && s < 300
+    });
+    data.destroy();
+    const etag = headers.etag || null;
+    if (status === 206) return { total: parseContentRange(headers["content-range"])?.total ?? null, etag, ranges: true };
+    return { total: Number(headers["content-length"] || 0) || null, etag, ranges: false };
+  }
+
+  function planSegments(total, connections) {
+    const count = Math.max(1, Math.min(connections, Math.floor(total / MIN_SEGMENT_BYTES)));
+    const size = Math.ceil(total / count);
+    const segments = [];
+    for (let start = 0; start < total; start += size) segments.push([start, Math.min(total, start + size) - 1]);
+    return segments;
+  }
+
+  async function fetchSegment(url, segPath, [start, end], etag, onBytes, signal) {
+    const want = end - start + 1;
+    const have = fileSize(segPath);
+    if (have === want) return;
+
+    const from = start + have;
+    const { data, headers, status } = await http.get(url, {
+      responseType: "stream",
+      signal,
+      // a changed file answers 200 and fails the range check below; the next run starts over
+      headers: { Range: `bytes=${from}-${end}`, ...(etag && { "If-Range": etag }) },
+      validateStatus: (s) => s >= 200 && s < 300
+    });
+    if (status !== 206 || parseContentRange(headers["content-range"])?.start !== from) {
+      data.destroy();
+      throw codedError("BAD_RANGE", `asked for ${from}-${end}, got HTTP ${status} "${headers["content-range"] || ""}"`);
+    }
+    await pipeToFile(data, segPath, { append: true, onBytes });
+
+    const size = fileSize(segPath);
+    if (size !== want) throw codedError("SIZE_MISMATCH", `segment ${start}-${end} has ${size} bytes, expected ${want}`);
+  }
+
+  /* ---- returns false when the caller should fall back to a single stream ---- */
+  async function segmentedDownload(getUrl, finalPath, opts) {
+    const name = path.basename(finalPath);
+    const tmpPath = `${finalPath}.part`;
+    const manifestPath = segmentManifestPath(finalPath);
+
+    let manifest = null;
+    try { manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8")); } catch {}
+    if (!manifest && fileSize(tmpPath) > 0) return false; // a single-stream .part is cheaper to resume as is
+
+    const remote = await withUrlRetry(getUrl, name, (url) => probeRemote(url, opts.signal), opts.signal);
+    if (manifest && (remote.total !== manifest.total || (remote.etag ?? null) !== (manifest.etag ?? null))) {
+      // the pieces on disk belong to another version of the file
+      log.warn(`${name} changed on the server since its segments were started; downloading it again.`);
+      manifest.segments.forEach((_, i) => safeUnlink(`${tmpPath}.seg${i}`));
+      safeUnlink(manifestPath);
+      manifest = null;
+    }
+    if (!manifest) {
+      if (!remote.ranges || !remote.total) {
+        log.debug(`Server ignored Range for ${name}; using a single connection`);
+        return false;
+      }
+      const segments = planSegments(remote.total, opts.connections);
+      if (segments.length < 2) return false;
+      manifest = { total: remote.total, etag: remote.etag, segments };
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+    }
+
+    const segPaths = manifest.segments.map((_, i) => `${tmpPath}.seg${i}`);
+    manifest.segments.forEach(([start, end], i) => {
+      if (fileSize(segPaths[i]) > end - start + 1) safeUnlink(segPaths[i]);
+    });
+
+    let downloaded = segPaths.reduce((sum, sp) => sum + fileSize(sp), 0);
+    opts.onProgress?.({ downloaded, total: manifest.total });
+    const onBytes = (n) => {
+      downloaded += n;
+      opts.onProgress?.({ downloaded, total: manifest.total });
+    };
+    log.debug(`Downloading ${name} over ${manifest.segments.length} connections`);
+
+    const results = await Promise.allSettled(manifest.segments.map((seg, i) =>
+      withUrlRetry(getUrl, `${name} [${i + 1}/${manifest.segments.length}]`,
+        (url) => fetchSegment(url, segPaths[i], seg, manifest.etag, onBytes, opts.signal), opts.signal)
+    ));
+    const failed = results.find(r => r.status === "rejected");
+    if (failed) throw failed.reason;
+
+    // stitch segments into .part, then verify and publish as usual
+    safeUnlink(tmpPath);
+    for (const sp of segPaths) {
+      await pipeline(fs.createReadStream(sp), fs.createWriteStream(tmpPath, { flags: "a" }));
+    }
+    const size = fileSize(tmpPath);
+    if (size !== manifest.total) {
+      safeUnlink(tmpPath);
+      throw codedError("SIZE_MISMATCH", `stitched ${size} bytes, expected ${manifest.total}`);
+    }
+    fs.renameSync(tmpPath, finalPath);
+    for (const sp of segPaths) safeUnlink(sp);
+    safeUnlink(manifestPath);
+    return { size, etag: manifest.etag ?? null };
+  }
+
+  /* ============================================
+   * 📺 HLS (m3u8) downloads
+   * ============================================ */
+  async function fetchText(url, signal) {
+    const { data } = await http.get(url, { responseType: "text", transformResponse: (x) => x, signal });
+    return data;
+  }
+
+  /* ---- master URL → media playlist; memoized per URL, so a re-signed master reloads it ---- */
+  function hlsPlanner(quality, signal, name) {
+    const plans = new Map();
+    return (masterUrl) => {
+      if (!plans.has(masterUrl)) {
+        const plan = (async () => {
+          let pl = parsePlaylist(await fetchText(masterUrl, signal), masterUrl);
+          if (pl.variants.length) {
+            const v = pickVariant(pl.variants, quality);
+            log.debug(`HLS ${name}: variant ${v.height ? `${v.height}p` : v.name || "?"} @ ${prettyBytes(v.bandwidth / 8)}/s`);
+            pl = parsePlaylist(await fetchText(v.uri, signal), v.uri);
+          }
+          if (pl.segments.length === 0) throw codedError("BAD_PLAYLIST", `no segments in ${name} playlist`);
+          return pl;
+        })();
+        plan.catch(() => plans.delete(masterUrl)); // a failed load is retried from scratch
+        plans.set(masterUrl, plan);
+      }
+      return plans.get(masterUrl);
+    };
+  }
+
+  /* ---- one segment → `fp` (decrypted); written via .part so a present file is complete ---- */
+  async function fetchHlsPart(url, fp, key, getKey, onBytes, signal) {
+    const tmp = `${fp}.part`;
+    const { data, headers } = await http.get(url, { responseType: "stream", signal });
+    let got = 0;
+    try {
+      await pipeToFile(data, tmp, { append: false, onBytes: (n) => { got += n; onBytes(n); } });
+      const expected = Number(headers["content-length"] || 0);
+      if (expected && fileSize(tmp) !== expected) throw codedError("SIZE_MISMATCH", `got ${fileSize(tmp)} bytes, expected ${expected}`);
+    } catch (e) {
+      onBytes(-got);
+      throw e;
+    }
+    if (key) {
+      const decipher = crypto.createDecipheriv("aes-128-cbc", await getKey(key.uri), key.iv);
+      fs.writeFileSync(tmp, Buffer.concat([decipher.update(fs.readFileSync(tmp)), decipher.final()]));
+    }
+    fs.renameSync(tmp, fp);
+  }
+
+  async function hlsDownload(getUrl, finalPath, opts, restarts = 1) {
+    const name = path.basename(finalPath);
+    const workDir = `${finalPath}.part.hls`;
+    const planFor = hlsPlanner(opts.quality, opts.signal, name);
+    const plan = await withUrlRetry(getUrl, name, planFor, opts.signal);
+
+    // pieces already in workDir are reused only when they come from the same playlist (a re-encode or
+    // a new key may keep the segment count)
+    const parts = [...(plan.map ? ["init"] : []), ...plan.segments.map((_, i) => i)];
+    const partPath = (p) => path.join(workDir, p === "init" ? "init.mp4" : `${String(p).padStart(5, "0")}.seg`);
+    const indexPath = path.join(workDir, "index.json");
+    const fingerprint = playlistFingerprint(plan);
+    let index = null;
+    try { index = JSON.parse(fs.readFileSync(indexPath, "utf8")); } catch {}
+    if (index?.count !== parts.length || index?.playlist !== fingerprint) {
+      if (index) log.debug(`${name}: the playlist changed; discarding the HLS segments on disk`);
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(workDir, { recursive: true });
+    fs.writeFileSync(indexPath, JSON.stringify({ count: parts.length, playlist: fingerprint }));
+
+    // byte totals aren't known up front; extrapolate from the pieces finished so far
+    let doneBytes = 0;
+    let doneCount = 0;
+    let inflight = 0;
+    const report = () => opts.onProgress?.({
+      downloaded: doneBytes + inflight,
+      total: doneCount ? Math.round((doneBytes / doneCount) * parts.length) : null
+    });
+    const pending = parts.filter((p) => {
+      if (!fs.existsSync(partPath(p))) return true;
+      doneBytes += fileSize(partPath(p));
+      doneCount++;
+      return false;
+    });
+    if (doneCount) log.debug(`Resuming ${name}: ${doneCount}/${parts.length} HLS segments on disk`);
+    report();
+
+    const keys = new Map();
+    const getKey = (uri) => {
+      if (!keys.has(uri)) {
+        const k = http.get(uri, { responseType: "arraybuffer", signal: opts.signal }).then(({ data }) => Buffer.from(data));
+        k.catch(() => keys.delete(uri));
+        keys.set(uri, k);
+      }
+      return keys.get(uri);
+    };
+
+    const limit = pLimit(opts.connections > 1 ? opts.connections : HLS_CONCURRENCY);
+    let failed = null;
+    await Promise.all(pending.map((p) => limit(async () => {
+      if (failed || opts.signal?.aborted) return;
+      const fp = partPath(p);
+      let mine = 0;
+      const onBytes = (n) => { mine += n; inflight += n; report(); };
+      try {
+        await withUrlRetry(getUrl, `${name} [${p === "init" ? "init" : p + 1}/${plan.segments.length}]`, async (masterUrl) => {
+          const pl = await planFor(masterUrl);
+          // a re-signed master may lead to other media; its pieces can't be mixed with these
+          if (pl !== plan && playlistFingerprint(pl) !== fingerprint) {
+            throw new AbortError(codedError("PLAYLIST_CHANGED", `${name}: the playlist changed while downloading`));
+          }
+          const seg = p === "init" ? { uri: pl.map.uri, key: null } : pl.segments[p];
+          await fetchHlsPart(seg.uri, fp, seg.key, getKey, onBytes, opts.signal);
+        }, opts.signal);
+        inflight -= mine;
+        doneBytes += fileSize(fp);
+        doneCount++;
+        report();
+      } catch (e) {
+        failed ??= e;
+      }
+    })));
+    if (failed?.code === "PLAYLIST_CHANGED" && restarts > 0 && !opts.signal?.aborted) {
+      log.warn(`${failed.message}; starting it over`);
+      return hlsDownload(getUrl, finalPath, opts, restarts - 1);
+    }
+    if (failed) throw failed;
+    if (opts.signal?.aborted) throw opts.signal.reason;
+
+    // join in playlist order, then remux (or publish the raw transport stream)
+    const tmpPath = `${finalPath}.part`;
+    safeUnlink(tmpPath);
+    for (const p of parts) {
+      await pipeline(fs.createReadStream(partPath(p)), fs.createWriteStream(tmpPath, { flags: "a" }));
+    }
+    if (opts.ffmpeg) {
+      const remuxed = `${finalPath}.part.mp4`;
+      try {
+        await remuxToMp4(opts.ffmpeg, tmpPath, remuxed);
+      } catch (e) {
+        safeUnlink(remuxed);
+        throw codedError("REMUX_FAILED", `${name}: ${e.message}`);
+      }
+      fs.renameSync(remuxed, finalPath);
+      safeUnlink(tmpPath);
+    } else {
+      fs.renameSync(tmpPath, finalPath);
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+    return { size: fileSize(finalPath), etag: null };
+  }
+
+  /* ============================================
+   * 🔎 Existing files
+   * ============================================ */
+  /**
+   * Compare a file on disk with the server's Content-Length/ETag and with what
+   * the sidecar recorded. A short file whose ETag hasn't changed is resumable.
+   * @param {UrlSource} source
+   * @param {string} filePath
+   * @param {{ expected?: FileFacts|null, signal?: AbortSignal }} [opts]
+   * @returns {Promise<ExistingCheck>}
+   */
+  async function checkExisting(source, filePath, { expected = null, signal } = {}) {
+    const getUrl = typeof source === "function" ? source : async () => source;
+    const name = path.basename(filePath);
+    const size = fileSize(filePath);
+
+    // a playlist's size says nothing about the joined file; only the sidecar can tell
+    let remote = null;
+    if (!isHlsUrl(await getUrl())) {
+      try {
+        remote = await withUrlRetry(getUrl, name, (url) => probeRemote(url, signal), signal);
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        log.warn(`Could not check ${name} against the server: ${e.message}`);
+      }
+    }
+
+    const reasons = [];
+    if (expected?.size != null && size !== expected.size) reasons.push(`sidecar says ${prettyBytes(expected.size)}`);
+    if (remote?.total != null && size !== remote.total) reasons.push(`server says ${prettyBytes(remote.total)}`);
+    const changed = !!(expected?.etag && remote?.etag && expected.etag !== remote.etag);
+    if (changed) reasons.push("ETag changed");
+
+    const total = remote?.total ?? expected?.size ?? null;
+    let action = "keep";
+    if (reasons.length) action = !changed && remote?.ranges && total != null && size < total ? "resume" : "restart";
+    return { action, reasons, size, total, etag: remote?.etag ?? expected?.etag ?? null, probed: !!remote };
+  }
+
+  /* ---- facts if the file on disk is kept; false if it was turned into .part or removed for repair; null if it is simply replaced ---- */
+  async function settleExisting(getUrl, filePath, opts) {
+    if (opts.overwrite) {
+      safeUnlink(filePath);
+      return null;
+    }
+    // without --skip-existing the finished download simply replaces it
+    if (!opts.skipExisting) return null;
+    if (opts.verify === false) return { size: fileSize(filePath), etag: opts.expected?.etag ?? null };
+
+    const check = await checkExisting(getUrl, filePath, opts);
+    if (check.action === "keep") return { size: check.size, etag: check.etag };
+    log.warn(`${path.basename(filePath)} is ${prettyBytes(check.size)} but ${check.reasons.join(", ")}; ${check.action === "resume" ? "resuming it" : "downloading it again"}.`);
+    if (check.action === "resume") {
+      safeUnlink(`${filePath}.part`);
+      fs.renameSync(filePath, `${filePath}.part`);
+      writePartEtag(filePath, check.etag);
+    } else {
+      safeUnlink(filePath);
+    }
+    return false;
+  }
+
+  /**
+   * Download `source` to `filePath` with retries, resume and URL refresh.
+   * @param {UrlSource} source
+   * @param {string} filePath
+   * @param {DownloadOptions} opts
+   * @returns {Promise<DownloadResult>}
+   */
+  async function downloadWithRetry(source, filePath, opts) {
+    const getUrl = typeof source === "function" ? source : async () => source;
+    let status = "downloaded";
+    if (fs.existsSync(filePath)) {
+      const kept = await settleExisting(getUrl, filePath, opts);
+      if (kept) return { status: "kept", ...kept };
+      if (kept === false) status = "repaired";
+    }
+    if (isHlsUrl(await getUrl())) return { status, ...await hlsDownload(getUrl, filePath, opts) };
+    // an unfinished segmented download is continued segmented, whatever --connections says now
+    const segmented = opts.connections > 1 || fs.existsSync(segmentManifestPath(filePath));
+    const facts = (segmented && await segmentedDownload(getUrl, filePath, opts))
+      || await withUrlRetry(getUrl, path.basename(filePath), (url) => streamDownloadAtomic(url, filePath, opts), opts.signal);
+    return { status, ...facts };
+  }
+
+  /**
+   * Size, ETag and Range support of a URL (one-byte request, retried).
+   * @param {string} url
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<{ total: number|null, etag: string|null, ranges: boolean }>}
+   */
+  function probe(url, signal) {
+    return withUrlRetry(async () => url, url, (u) => probeRemote(u, signal), signal);
+  }
+
+  return { downloadWithRetry, checkExisting, probe, refreshableUrl };
+}
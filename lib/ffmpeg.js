@@ -0,0 +1,103 @@
+/**
+ * cin-dl : ffmpeg helpers (mux / burn subtitles, HLS remux).
+ */
+
+import { spawn } from "child_process";
+import fs from "fs";
+import { safeUnlink } from "./helpers.js";
+
+export function runFfmpeg(bin, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(bin, args, { stdio: "inherit" });
+    proc.on("error", reject);
+    proc.on("close", (code) => { if (code === 0) resolve(); else reject(new Error(`ffmpeg exited with code ${code}`)); });
+  });
+}
+
+const availability = new Map();
+
+/** @returns {Promise<boolean>} whether `bin -version` runs (cached per binary) */
+export function ffmpegAvailable(bin) {
+  if (!availability.has(bin)) {
+    availability.set(bin, new Promise((resolve) => {
+      const proc = spawn(bin, ["-version"], { stdio: "ignore" });
+      proc.on("error", () => resolve(false));
+      proc.on("close", (code) => resolve(code === 0));
+    }));
+  }
+  return availability.get(bin);
+}
+
+/* ---- stream copy into an MP4 container (joined HLS .ts → .mp4) ---- */
+export async function remuxToMp4(bin, input, output) {
+  await runFfmpeg(bin, ["-y", "-loglevel", "error", "-i", input, "-c", "copy", "-f", "mp4", output]);
+  return output;
+}
+
+/* ---- ISO 639-1 (the API's track `type`) → the 639-2/B codes Matroska expects ---- */
+const ISO639_2 = {
+  ar: "ara", en: "eng", fr: "fre", de: "ger", es: "spa", it: "ita", pt: "por", nl: "dut", tr: "tur", fa: "per",
+  ku: "kur", ur: "urd", hi: "hin", he: "heb", ru: "rus", ja: "jpn", ko: "kor", zh: "chi", id: "ind", ms: "may"
+};
+
+export function languageCode(lang) {
+  const l = String(lang || "").toLowerCase();
+  return ISO639_2[l] || (/^[a-z]{3}$/.test(l) ? l : "und");
+}
+
+/* ---- "ar" → "Arabic"; unknown types are shown as-is ---- */
+export function languageName(lang) {
+  try { return new Intl.DisplayNames(["en"], { type: "language" }).of(lang) || lang; } catch { return lang; }
+}
+
+/**
+ * Mux every subtitle track into an MKV (stream copy, subtitles as SRT). The
+ * video's own subtitle streams are dropped so the track indexes line up.
+ * Written via `.part`; with `replace`, the result becomes `<name>.mkv` and the
+ * original video is removed.
+ * @param {string} bin
+ * @param {string} videoPath
+ * @param {{ path: string, lang: string }[]} tracks
+ * @param {{
+ *   defaultLang?: string|null,
+ *   metadata?: Record<string, string|number|null>,
+ *   replace?: boolean
+ * }} [opts]  metadata: container tags (title, show, season_number, ...); empty values are skipped
+ * @returns {Promise<string>} the MKV path
+ */
+export async function muxSubs(bin, videoPath, tracks, { defaultLang = null, metadata = {}, replace = false } = {}) {
+  const out = videoPath.replace(/\.[^.]+$/, "") + (replace ? ".mkv" : ".muxed.mkv");
+  const tmp = `${out}.part`;
+  const args = ["-y", "-loglevel", "error", "-i", videoPath];
+  for (const t of tracks) args.push("-i", t.path);
+  args.push("-map", "0:v", "-map", "0:a?");
+  tracks.forEach((_, i) => args.push("-map", String(i + 1)));
+  args.push("-c", "copy", "-c:s", "srt");
+  for (const [k, v] of Object.entries(metadata)) {
+    if (v != null && v !== "") args.push("-metadata", `${k}=${v}`);
+  }
+  tracks.forEach((t, i) => {
+    args.push(`-metadata:s:s:${i}`, `language=${languageCode(t.lang)}`, `-metadata:s:s:${i}`, `title=${languageName(t.lang)}`);
+    // without --default-sub ffmpeg's own choice (the first track) stands
+    if (defaultLang) args.push(`-disposition:s:${i}`, t.lang === defaultLang ? "default" : "0");
+  });
+  args.push("-f", "matroska", tmp);
+  try {
+    await runFfmpeg(bin, args);
+  } catch (e) {
+    safeUnlink(tmp);
+    throw e;
+  }
+  fs.renameSync(tmp, out);
+  if (replace && out !== videoPath) safeUnlink(videoPath);
+  return out;
+}
+
+export async function burnSub(bin, videoPath, subPath) {
+  const out = videoPath.replace(/\.[^.]+$/, "") + ".burned.mp4";
+  // escape subtitle path for ffmpeg filter
+  const safeSub = subPath.replace(/\\/g, "\\\\").replace(/:/g, "\\:").replace(/,/g, "\\,").replace(/'/g, "\\'");
+  const args = ["-y", "-i", videoPath, "-vf", `subtitles='${safeSub}'`, "-c:a", "copy", out];
+  await runFfmpeg(bin, args);
+  return out;
+}
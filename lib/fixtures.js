@@ -0,0 +1,112 @@
+/**
+ * cin-dl : API fixtures for offline runs (`--record <dir>` / `--replay <dir>`).
+ *
+ *   <dir>/fixtures.json                          { version, baseUrl, recordedAt }
+ *   <dir>/api/android/allVideoInfo/id/201.json   { url, status, recordedAt, data | error }
+ *   <dir>/api/android/videoGroups/lang/ar/level/0.json
+ *   <dir>/media/<key>/<file>                      subtitles, saved as served
+ *
+ * Every API answer is kept, errors (404 for a wrong id) included. Videos are
+ * not; on replay the stand-in server (replay.js) makes up their bytes.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import sanitize from "sanitize-filename";
+import { writeJsonAtomic } from "./helpers.js";
+import { silentLogger } from "./log.js";
+
+const VERSION = 1;
+
+/* ---- "/android/AdvancedSearch?videoTitle=x" → <dir>/api/android/AdvancedSearch@videoTitle%3Dx.json ---- */
+export function fixturePath(dir, url) {
+  const u = new URL(url, "http://fixture.invalid");
+  const parts = u.pathname.split("/").filter(Boolean).map(p => sanitize(decodeURIComponent(p)) || "_");
+  const last = `${parts.pop() || "index"}${u.search ? `@${encodeURIComponent(u.search.slice(1))}` : ""}`;
+  return path.join(dir, "api", ...parts, `${sanitize(last)}.json`);
+}
+
+/* ---- media URLs are signed differently every time; the path is what stays ---- */
+export function mediaKey(url) {
+  const u = new URL(url);
+  return crypto.createHash("sha1").update(`${u.host}${u.pathname}`).digest("hex").slice(0, 12);
+}
+
+export function mediaFileName(url) {
+  return sanitize(decodeURIComponent(new URL(url).pathname.split("/").pop() || "")) || "file";
+}
+
+/** @returns {string[]} absolute http(s) URLs anywhere in an API answer */
+export function findMediaUrls(value, out = []) {
+  if (typeof value === "string") {
+    if (/^https?:\/\//i.test(value)) out.push(value);
+  } else if (Array.isArray(value)) {
+    for (const v of value) findMediaUrls(v, out);
+  } else if (value && typeof value === "object") {
+    for (const v of Object.values(value)) findMediaUrls(v, out);
+  }
+  return out;
+}
+
+/** @returns {{ url: string, status: number, recordedAt: string, data?: any, error?: string }|null} */
+export function readFixture(dir, url) {
+  try {
+    return JSON.parse(fs.readFileSync(fixturePath(dir, url), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} dir
+ * @param {{
+ *   http: import("axios").AxiosInstance,   fetches the subtitle files
+ *   baseUrl: string,
+ *   log?: import("./log.js").Logger
+ * }} opts
+ */
+export function createRecorder(dir, { http, baseUrl, log = silentLogger }) {
+  fs.mkdirSync(dir, { recursive: true });
+  writeJsonAtomic(path.join(dir, "fixtures.json"), { version: VERSION, baseUrl, recordedAt: new Date().toISOString() });
+  let count = 0;
+
+  function write(url, body) {
+    const fp = fixturePath(dir, url);
+    fs.mkdirSync(path.dirname(fp), { recursive: true });
+    writeJsonAtomic(fp, { url, recordedAt: new Date().toISOString(), ...body });
+    count++;
+    log.debug(`Recorded ${url}`);
+  }
+
+  async function saveSubtitles(data) {
+    const tracks = Array.isArray(data?.translations) ? data.translations : [];
+    for (const url of tracks.map(t => t?.file).filter(u => /^https?:\/\//i.test(String(u || "")))) {
+      const fp = path.join(dir, "media", mediaKey(url), mediaFileName(url));
+      if (fs.existsSync(fp)) continue;
+      try {
+        const res = await http.get(url, { responseType: "arraybuffer" });
+        fs.mkdirSync(path.dirname(fp), { recursive: true });
+        fs.writeFileSync(fp, Buffer.from(res.data));
+      } catch (e) {
+        log.warn(`Couldn't record subtitle ${mediaFileName(url)}: ${e.message}`);
+      }
+    }
+  }
+
+  return {
+    dir,
+    get count() { return count; },
+
+    /** a successful answer; subtitle files of translationFiles are fetched and kept too */
+    async ok(url, res) {
+      write(url, { status: res.status, data: res.data });
+      if (/\/translationFiles\//.test(url)) await saveSubtitles(res.data);
+    },
+
+    /** an answer that failed with an HTTP status; network errors aren't worth replaying */
+    failed(url, e) {
+      if (e?.status) write(url, { status: e.status, error: e.message });
+    }
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * cin-dl : shared helpers (naming, quality/subtitle selection, URLs, files).
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import sanitize from "sanitize-filename";
+import { renderTemplate } from "./template.js";
+
+export function pad2(n) {
+  const s = String(n ?? "").trim();
+  return s ? s.padStart(2, "0") : null;
+}
+
+export function chooseBaseTitle(info) {
+  return (
+    info?.en_title?.trim() ||
+    info?.ar_title?.trim() ||
+    info?.other_title?.trim() ||
+    "untitled"
+  );
+}
+
+export function buildTitle(info) {
+  const base = sanitize(chooseBaseTitle(info));
+  const isSeries = String(info?.kind || "") === "2";
+  const s = pad2(info?.season);
+  const e = pad2(info?.episodeNummer);
+  if (isSeries && s && e) return `${base}.S${s}E${e}`;
+  return base;
+}
+
+export function extFromUrl(url, def = ".mp4") {
+  const u = url.toLowerCase();
+  for (const e of [".mp4", ".mkv", ".webm", ".mov", ".m4v"]) {
+    if (u.includes(e)) return e;
+  }
+  return def;
+}
+
+export function subExt(url) {
+  const u = url.toLowerCase();
+  if (u.includes(".srt")) return ".srt";
+  if (u.includes(".vtt")) return ".vtt";
+  return ".srt";
+}
+
+export function parseExpiryEpoch(url) {
+  try {
+    const q = new URL(url).searchParams;
+    const exp = q.get("Expires");
+    return exp ? Number(exp) : null;
+  } catch {
+    return null;
+  }
+}
+
+export function isExpiringSoon(epoch, minutes = 10) {
+  if (!epoch) return false;
+  const now = Math.floor(Date.now() / 1000);
+  return epoch - now <= minutes * 60;
+}
+
+export function safeUnlink(fp) {
+  try { fs.unlinkSync(fp); } catch {}
+}
+
+/* ---- file naming ---- */
+export function buildNameFromTemplate(tpl, vars) {
+  return renderTemplate(tpl, vars);
+}
+
+/* ---- subtitles filter ---- */
+export function filterSubtitleTracks(tracks, langCsv, formatPref) {
+  if (!Array.isArray(tracks)) return [];
+  const wantLangs = langCsv
+    ? new Set(langCsv.split(",").map(s => s.trim().toLowerCase()).filter(Boolean))
+    : null;
+
+  const byLang = new Map();
+  for (const t of tracks) {
+    const url = t?.file;
+    if (!url || /defaultImages\/loading\.gif/i.test(url)) continue;
+    const lang = (t?.type || t?.name || "sub").toLowerCase();
+    if (wantLangs && !wantLangs.has(lang)) continue;
+    const ext = subExt(url).slice(1);
+    const list = byLang.get(lang) || [];
+    list.push({ url, lang, ext });
+    byLang.set(lang, list);
+  }
+
+  const result = [];
+  for (const [lang, list] of byLang.entries()) {
+    if (formatPref === "both") result.push(...list);
+    else result.push(list.find(x => x.ext === formatPref) || list[0]);
+  }
+  return result;
+}
+
+export function fileSize(fp) {
+  try { return fs.statSync(fp).size; } catch { return 0; }
+}
+
+/* ---- "bytes 100-199/1000" → { start, end, total } ---- */
+export function parseContentRange(header) {
+  const m = String(header || "").match(/^bytes\s+(?:(\d+)-(\d+)|\*)\/(\d+|\*)$/i);
+  if (!m) return null;
+  return {
+    start: m[1] != null ? Number(m[1]) : null,
+    end: m[2] != null ? Number(m[2]) : null,
+    total: m[3] !== "*" ? Number(m[3]) : null
+  };
+}
+
+export function codedError(code, message) {
+  const e = new Error(`${code}: ${message}`);
+  e.code = code;
+  return e;
+}
+
+/* ---- write to a tmp name of our own, then rename: readers see the old file or the new one, never half of one ---- */
+export function writeJsonAtomic(fp, obj) {
+  const tmp = `${fp}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(obj, null, 2));
+    fs.renameSync(tmp, fp);
+  } catch (e) {
+    safeUnlink(tmp);
+    throw e;
+  }
+}
+
+export function uniqStrings(arr) {
+  return [...new Set(arr.map(String))];
+}
+
+/* ---- "90s" | "30m" | "6h" | "1d" | bare minutes → ms ---- */
+export function parseDuration(str) {
+  const m = String(str || "").trim().match(/^(\d+(?:\.\d+)?)\s*([smhd]?)$/i);
+  if (!m) throw new Error(`Invalid duration "${str}" (use e.g. 30m, 6h, 1d)`);
+  const unit = { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3 }[(m[2] || "m").toLowerCase()];
+  return Math.round(Number(m[1]) * unit);
+}
+
+/* ---- "700M" | "1.5G" | "500KB" | bare bytes → bytes (binary units) ---- */
+export function parseSize(str) {
+  const m = String(str ?? "").trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)(?:i?b)?$/i);
+  if (!m) throw new Error(`Invalid size "${str}" (use e.g. 700M, 1.5G)`);
+  const unit = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4 }[m[2].toLowerCase()];
+  return Math.round(Number(m[1]) * unit);
+}
+
+/* ---- an http(s) URL, trailing "/" dropped; anything else throws ---- */
+export function parseBaseUrl(str) {
+  const s = String(str ?? "").trim().replace(/\/+$/, "");
+  let url = null;
+  try { url = new URL(s); } catch { /* reported below */ }
+  if (!url || !/^https?:$/.test(url.protocol)) throw new Error(`Invalid base URL "${str}" (use e.g. https://cinemana.shabakaty.com/api)`);
+  return s;
+}
+
+/* ---- "500K" | "5M" | "1.5G" | bare bytes → bytes/s; "0" / "unlimited" → 0 (no limit) ---- */
+export function parseRate(str) {
+  const s = String(str ?? "").trim();
+  if (/^(unlimited|full|none|off)$/i.test(s)) return 0;
+  try {
+    return parseSize(s.replace(/\/s$/i, ""));
+  } catch {
+    throw new Error(`Invalid rate "${str}" (use e.g. 500K, 5M, or unlimited)`);
+  }
+}
+
+/* ---- Retry-After header: "120" (seconds) or an HTTP date → ms from now; null if absent/invalid ---- */
+export function parseRetryAfter(header, now = Date.now()) {
+  const s = String(header ?? "").trim();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return Number(s) * 1000;
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : Math.max(0, t - now);
+}
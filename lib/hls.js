@@ -0,0 +1,91 @@
+/**
+ * cin-dl : HLS (m3u8) playlist parsing.
+ *
+ * Only what cinemana serves is covered: master playlists with
+ * EXT-X-STREAM-INF variants, media playlists with plain or AES-128 encrypted
+ * segments and an optional EXT-X-MAP init section.
+ */
+
+import { codedError } from "./helpers.js";
+
+export function isHlsUrl(url) {
+  try { return new URL(url).pathname.toLowerCase().endsWith(".m3u8"); } catch { return /\.m3u8(\?|$)/i.test(String(url || "")); }
+}
+
+/* ---- 'BANDWIDTH=800000,RESOLUTION=1280x720,CODECS="a,b"' → { BANDWIDTH: "800000", ... } ---- */
+function parseAttributes(str) {
+  const out = {};
+  for (const m of str.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) out[m[1]] = m[2].replace(/^"|"$/g, "");
+  return out;
+}
+
+/* ---- explicit IV, or the media sequence number as a 128-bit big-endian integer ---- */
+function segmentIv(key, seq) {
+  if (key.iv) return Buffer.from(key.iv.replace(/^0x/i, "").padStart(32, "0"), "hex");
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(seq), 8);
+  return iv;
+}
+
+/**
+ * @typedef {Object} HlsVariant
+ * @property {string} uri
+ * @property {number} bandwidth
+ * @property {number|null} height
+ * @property {string|null} name
+ */
+
+/**
+ * @typedef {Object} HlsSegment
+ * @property {string} uri
+ * @property {{ method: string, uri: string, iv: Buffer }|null} key
+ */
+
+/**
+ * Parse a master or media playlist; URIs are resolved against `baseUrl`.
+ * @param {string} text
+ * @param {string} baseUrl
+ * @returns {{ variants: HlsVariant[], segments: HlsSegment[], map: { uri: string }|null }}
+ */
+export function parsePlaylist(text, baseUrl) {
+  const lines = String(text || "").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines[0] !== "#EXTM3U") throw codedError("BAD_PLAYLIST", "not an m3u8 playlist");
+  const resolve = (uri) => new URL(uri, baseUrl).href;
+
+  const variants = [];
+  const segments = [];
+  let map = null;
+  let key = null;
+  let seq = 0;
+  let streamInf = null;
+  for (const line of lines) {
+    if (line.startsWith("#EXT-X-STREAM-INF:")) {
+      streamInf = parseAttributes(line.slice(18));
+    } else if (line.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+      seq = Number(line.slice(22)) || 0;
+    } else if (line.startsWith("#EXT-X-KEY:")) {
+      const a = parseAttributes(line.slice(11));
+      if (!a.METHOD || a.METHOD === "NONE") {
+        key = null;
+      } else {
+        // a segment we can't decrypt must fail the playlist, not turn into garbage on disk
+        if (a.METHOD !== "AES-128") throw codedError("UNSUPPORTED_HLS", `${a.METHOD} encryption is not supported`);
+        if (!a.URI) throw codedError("BAD_PLAYLIST", "EXT-X-KEY without a URI");
+        key = { method: a.METHOD, uri: resolve(a.URI), iv: a.IV || null };
+      }
+    } else if (line.startsWith("#EXT-X-MAP:")) {
+      map = { uri: resolve(parseAttributes(line.slice(11)).URI) };
+    } else if (line.startsWith("#EXT-X-BYTERANGE")) {
+      throw codedError("UNSUPPORTED_HLS", "byte-range segments are not supported");
+    } else if (!line.startsWith("#")) {
+      if (streamInf) {
+        const height = Number(String(streamInf.RESOLUTION || "").split("x")[1]) || null;
+        variants.push({ uri: resolve(line), bandwidth: Number(streamInf.BANDWIDTH) || 0, height, name: streamInf.NAME || null });
+        streamInf = null;
+      } else {
+        segments.push({ uri: resolve(line), key: key && { method: key.method, uri: key.uri, iv: segmentIv(key, seq + segments.length) } });
+      }
+    }
+  }
+  return { variants, segments, map };
+}
@@ -0,0 +1,161 @@
+/**
+ * cin-dl : post-processing hooks.
+ *
+ *   --exec-after-file "<cmd>"   after every id (any status but cancelled)
+ *   --exec-after-run "<cmd>"    once, at the end of a run (CLI)
+ *   --webhook <url>             POST { event: "item-done", result } per id and { event: "run-done", ... } at the end
+ *
+ * Commands run through the shell. Template variables are those of
+ * --name-template plus {path} {id} {dir} {subs} {status}; values are quoted
+ * for the shell, so don't add quotes around them. The same values are in the
+ * environment as CIN_DL_<NAME>. A failing hook becomes a warning, never a
+ * failed download; so does one still running after --hook-timeout (killed).
+ */
+
+import axios from "axios";
+import { spawn } from "child_process";
+import pRetry, { AbortError } from "p-retry";
+import { DEFAULT_USER_AGENT } from "./http.js";
+import { silentLogger } from "./log.js";
+import { TEMPLATE_VARS } from "./template.js";
+
+const WEBHOOK_TIMEOUT_MS = 15000;
+export const DEFAULT_HOOK_TIMEOUT_MS = 10 * 60 * 1000;
+const OUTPUT_TAIL = 400; // chars of stderr kept for the warning
+
+/* ---- every --name-template variable, empty; ids that failed early have no values for them ---- */
+function emptyTemplateVars() {
+  return Object.fromEntries(Object.keys(TEMPLATE_VARS).map(k => [k, ""]));
+}
+
+function shellQuote(value) {
+  const s = String(value);
+  if (process.platform === "win32") return `"${s.replace(/"/g, '""')}"`;
+  return `'${s.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Template variables of one id.
+ * @param {import("./pipeline.js").ItemResult} r
+ * @returns {Record<string, string|string[]>}
+ */
+export function itemHookVars(r) {
+  return {
+    ...emptyTemplateVars(),
+    title: r.title ?? "",
+    quality: r.quality ?? "",
+    season: r.season ?? "",
+    episode: r.episode ?? "",
+    ...r.vars,
+    path: r.file ?? "",
+    id: r.id,
+    dir: r.outDir ?? "",
+    subs: r.subtitles || [],
+    status: r.status
+  };
+}
+
+/**
+ * Template variables of a whole run: lists where an item has one value.
+ * @param {import("./pipeline.js").ItemResult[]} results
+ * @param {{ output: string, status: string }} run   status: ok | partial | failed | cancelled
+ */
+export function runHookVars(results, { output, status }) {
+  const ok = results.filter(r => r.status === "ok");
+  return {
+    ...emptyTemplateVars(),
+    path: ok.map(r => r.file).filter(Boolean),
+    id: results.map(r => r.id),
+    dir: output,
+    subs: ok.flatMap(r => r.subtitles || []),
+    status
+  };
+}
+
+/* ---- "{path}" → '/videos/Show S01E02.mp4'; lists become separate words; unknown names are left alone ---- */
+export function expandHookTemplate(tpl, vars) {
+  return tpl.replace(/\{(\w+)\}/g, (m, name) => {
+    if (!(name in vars)) return m;
+    const v = vars[name];
+    return Array.isArray(v) ? v.map(shellQuote).join(" ") : shellQuote(v ?? "");
+  });
+}
+
+function hookEnv(vars) {
+  const env = { ...process.env };
+  for (const [k, v] of Object.entries(vars)) env[`CIN_DL_${k.toUpperCase()}`] = Array.isArray(v) ? v.join("\n") : String(v ?? "");
+  return env;
+}
+
+/**
+ * Run one hook command.
+ * @param {string} tpl
+ * @param {Record<string, string|string[]>} vars
+ * @param {{ log?: import("./log.js").Logger, signal?: AbortSignal, timeout?: number }} [opts]
+ *   timeout: ms before the command is killed and reported as failed; 0 = none
+ * @returns {Promise<string|null>} why it failed, null when it exited 0
+ */
+export function runHook(tpl, vars, { log = silentLogger, signal, timeout = DEFAULT_HOOK_TIMEOUT_MS } = {}) {
+  const cmd = expandHookTemplate(tpl, vars);
+  log.debug(`Hook: ${cmd}`);
+  // a hung hook would hold its download slot (or the end of the run) forever
+  const timer = timeout > 0 ? AbortSignal.timeout(timeout) : null;
+  const abort = timer ? (signal ? AbortSignal.any([signal, timer]) : timer) : signal;
+  return new Promise((resolve) => {
+    let stderr = "";
+    const child = spawn(cmd, { shell: true, env: hookEnv(vars), stdio: ["ignore", "pipe", "pipe"], signal: abort });
+    child.stdout.on("data", (d) => { for (const line of String(d).split(/\r?\n/)) if (line.trim()) log.debug(`  [hook] ${line}`); });
+    child.stderr.on("data", (d) => { stderr = (stderr + d).slice(-OUTPUT_TAIL); });
+    child.on("error", (e) => {
+      if (e.name !== "AbortError") resolve(e.message);
+      else resolve(signal?.aborted ? "cancelled" : `timed out after ${Math.round(timeout / 1000)}s`);
+    });
+    child.on("close", (code, sig) => {
+      if (code === 0) return resolve(null);
+      const last = stderr.trim().split(/\r?\n/).pop();
+      resolve(`${sig ? `killed by ${sig}` : `exit ${code}`}${last ? `: ${last}` : ""}`);
+    });
+  });
+}
+
+/**
+ * POST a JSON body, retried twice on network errors and 5xx.
+ * @param {string} url
+ * @param {object} body
+ * @param {{ userAgent?: string, signal?: AbortSignal }} [opts]
+ */
+export async function postWebhook(url, body, { userAgent = DEFAULT_USER_AGENT, signal } = {}) {
+  await pRetry(async () => {
+    try {
+      await axios.post(url, body, { timeout: WEBHOOK_TIMEOUT_MS, signal, headers: { "User-Agent": userAgent } });
+    } catch (e) {
+      const status = e.response?.status;
+      const err = new Error(status ? `HTTP ${status}` : e.message);
+      if (status && status < 500) throw new AbortError(err);
+      throw err;
+    }
+  }, { retries: 2, factor: 2, signal });
+}
+
+/**
+ * The per-id hooks of `download()`; failures are appended to `result.warnings`.
+ * @param {import("./pipeline.js").ItemResult} result
+ * @param {{ execAfterFile?: string|null, webhook?: string|null, hookTimeout?: number }} settings
+ * @param {{ log?: import("./log.js").Logger, userAgent?: string, signal?: AbortSignal }} [opts]
+ */
+export async function runItemHooks(result, { execAfterFile, webhook, hookTimeout }, { log = silentLogger, userAgent, signal } = {}) {
+  const failures = [];
+  if (execAfterFile) {
+    const why = await runHook(execAfterFile, itemHookVars(result), { log, signal, timeout: hookTimeout });
+    if (why) failures.push(`exec-after-file: ${why}`);
+  }
+  if (webhook) {
+    try {
+      await postWebhook(webhook, { event: "item-done", result }, { userAgent, signal });
+    } catch (e) {
+      failures.push(`webhook: ${e.message}`);
+    }
+  }
+  for (const f of failures) log.warn(`Hook failed for ${result.id}: ${f}`);
+  if (failures.length) result.warnings = [...(result.warnings || []), ...failures];
+}
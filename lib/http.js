@@ -0,0 +1,136 @@
+/**
+ * cin-dl : axios instance shared by API calls and streaming downloads.
+ *
+ * Proxy, extra headers and cookies apply to every request it makes, media
+ * included. The account token only goes to the API host.
+ */
+
+import axios from "axios";
+import { HttpProxyAgent } from "http-proxy-agent";
+import { HttpsProxyAgent } from "https-proxy-agent";
+import { getProxyForUrl } from "proxy-from-env";
+import { SocksProxyAgent } from "socks-proxy-agent";
+import { createCookieJar } from "./cookies.js";
+import { parseRetryAfter } from "./helpers.js";
+import { silentLogger } from "./log.js";
+
+export const DEFAULT_USER_AGENT =
+  "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/140.0.0.0 Safari/537.36";
+
+const PROXY_PROTOCOLS = ["http:", "https:", "socks:", "socks4:", "socks4a:", "socks5:", "socks5h:"];
+
+/* ---- ["Referer: https://x", "X-A: 1"] → { Referer: "https://x", "X-A": "1" } ---- */
+export function parseHeaders(list) {
+  const out = {};
+  for (const h of [].concat(list || [])) {
+    const i = String(h).indexOf(":");
+    const name = i > 0 ? h.slice(0, i).trim() : "";
+    if (!/^[\w!#$%&'*+.^`|~-]+$/.test(name)) throw new Error(`Bad header "${h}" (expected "Name: value")`);
+    out[name] = h.slice(i + 1).trim();
+  }
+  return out;
+}
+
+export function checkProxyUrl(proxy) {
+  let u;
+  try { u = new URL(proxy); } catch { throw new Error(`Bad proxy URL "${proxy}"`); }
+  if (!PROXY_PROTOCOLS.includes(u.protocol)) throw new Error(`Unsupported proxy "${proxy}" (use http://, https:// or socks5://)`);
+  return proxy;
+}
+
+/**
+ * @param {{
+ *   baseUrl: string,
+ *   timeout?: number,                   seconds
+ *   userAgent?: string,
+ *   proxy?: string|false|null,          null: HTTP(S)_PROXY / ALL_PROXY / NO_PROXY from the environment; false: none
+ *   headers?: Record<string, string>,   added to every request; may override User-Agent
+ *   cookieJar?: string|null,            cookies.txt file, read and updated
+ *   authToken?: string|null,            Bearer token for the API host
+ *   log?: import("./log.js").Logger
+ * }} opts
+ */
+export function createHttp({
+  baseUrl,
+  timeout = 60,
+  userAgent = DEFAULT_USER_AGENT,
+  proxy = null,
+  headers = {},
+  cookieJar = null,
+  authToken = null,
+  log = silentLogger
+}) {
+  const baseURL = String(baseUrl || "").replace(/\/+$/, "");
+  const http = axios.create({
+    baseURL,
+    timeout: timeout * 1000,
+    maxRedirects: 5,
+    validateStatus: (s) => s >= 200 && s < 400,
+    proxy: false, // the agents below do it, axios' own proxy support can't tunnel https
+    headers: {
+      "User-Agent": userAgent,
+      "Accept": "application/json, text/plain, */*",
+      ...headers
+    }
+  });
+
+  if (proxy) checkProxyUrl(proxy);
+  const jar = cookieJar ? createCookieJar(cookieJar, { log }) : null;
+  let apiHost = null;
+  try { apiHost = new URL(baseURL).host; } catch {}
+
+  /* ---- one pair of agents per proxy URL ---- */
+  const agents = new Map();
+  function agentsFor(proxyUrl) {
+    if (!agents.has(proxyUrl)) {
+      checkProxyUrl(proxyUrl);
+      if (/^socks/i.test(proxyUrl)) {
+        const agent = new SocksProxyAgent(proxyUrl);
+        agents.set(proxyUrl, { httpAgent: agent, httpsAgent: agent });
+      } else {
+        agents.set(proxyUrl, { httpAgent: new HttpProxyAgent(proxyUrl), httpsAgent: new HttpsProxyAgent(proxyUrl) });
+      }
+      log.debug(`Using proxy ${proxyUrl.replace(/\/\/[^@/]*@/, "//***@")}`);
+    }
+    return agents.get(proxyUrl);
+  }
+
+  http.interceptors.request.use((config) => {
+    const url = http.getUri(config);
+    const proxyUrl = proxy === false ? null : proxy || getProxyForUrl(url);
+    if (proxyUrl) Object.assign(config, agentsFor(proxyUrl));
+    if (authToken && apiHost && new URL(url).host === apiHost && !config.headers.has("Authorization")) {
+      config.headers.set("Authorization", `Bearer ${authToken}`);
+    }
+    const cookies = jar?.header(url);
+    if (cookies) {
+      const own = config.headers.get("Cookie");
+      config.headers.set("Cookie", own ? `${own}; ${cookies}` : cookies);
+    }
+    return config;
+  });
+
+  const keepCookies = (res) => {
+    if (jar && res?.headers?.["set-cookie"]) jar.store(http.getUri(res.config), res.headers["set-cookie"]);
+  };
+
+  http.interceptors.response.use(
+    (res) => {
+      keepCookies(res);
+      return res;
+    },
+    (err) => {
+      keepCookies(err.response);
+      // Normalize network errors for p-retry clarity
+      const code = err.code || (err.response && `HTTP_${err.response.status}`) || "UNKNOWN";
+      const msg = err.message || "Request failed";
+      const e = new Error(`${code}: ${msg}`);
+      e.code = code;
+      e.status = err.response?.status ?? null;
+      e.retryAfterMs = parseRetryAfter(err.response?.headers?.["retry-after"]);
+      throw e;
+    }
+  );
+
+  return http;
+}
@@ -0,0 +1,44 @@
+/**
+ * cin-dl : public library surface.
+ *
+ * Types are JSDoc typedefs; import them with
+ *   @typedef {import("cin-dl").ClientOptions} ClientOptions
+ */
+
+export { createClient, DEFAULT_OPTIONS } from "./client.js";
+export { loggerFactory, silentLogger } from "./log.js";
+export { createJournal, openJournal, SESSIONS_DIR } from "./journal.js";
+export { followSeries, unfollowSeries, loadSubscriptions, syncSubscriptions } from "./subscriptions.js";
+export { readSidecar } from "./verify.js";
+export { normalizeVideoSeasonItems, normalizeEpisodeIds } from "./discovery.js";
+export {
+  buildNameFromTemplate,
+  buildTitle,
+  chooseBaseTitle,
+  extFromUrl,
+  filterSubtitleTracks,
+  parseExpiryEpoch
+} from "./helpers.js";
+export { parseQualitySelector, pickQuality } from "./quality.js";
+export { checkTemplate, renderDirPath, renderFileName, TEMPLATE_VARS } from "./template.js";
+export { formatReport, reportRow } from "./report.js";
+export { createQueue } from "./queue.js";
+export { createApiServer } from "./server.js";
+export { loadToken, saveToken, removeToken } from "./auth.js";
+export { createRecorder, readFixture } from "./fixtures.js";
+export { startReplayServer } from "./replay.js";
+export { preflight, readPlan, writePlan } from "./plan.js";
+
+/** @typedef {import("./client.js").ClientOptions} ClientOptions */
+/** @typedef {import("./client.js").DownloadSettings} DownloadSettings */
+/** @typedef {import("./client.js").ResolvedTitle} ResolvedTitle */
+/** @typedef {import("./pipeline.js").ItemResult} ItemResult */
+/** @typedef {import("./search.js").SearchItem} SearchItem */
+/** @typedef {import("./subscriptions.js").Subscription} Subscription */
+/** @typedef {import("./download.js").DownloadOptions} DownloadOptions */
+/** @typedef {import("./verify.js").VerifyResult} VerifyResult */
+/** @typedef {import("./quality.js").QualityInfo} QualityInfo */
+/** @typedef {import("./report.js").ReportRow} ReportRow */
+/** @typedef {import("./queue.js").Job} Job */
+/** @typedef {import("./plan.js").Plan} Plan */
+/** @typedef {import("./pipeline.js").PlannedItem} PlannedItem */
@@ -0,0 +1,112 @@
+/**
+ * cin-dl : on-disk session journal (resume after crash / Ctrl+C).
+ *
+ * One JSON file per run under `<output>/.cin-dl-sessions/`, holding the run's
+ * options and the stage each id reached.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { writeJsonAtomic } from "./helpers.js";
+import { silentLogger } from "./log.js";
+
+export const SESSIONS_DIR = ".cin-dl-sessions";
+const FINISHED_STAGES = new Set(["done", "skipped"]);
+
+export function isPending(item, retryFailed) {
+  return !FINISHED_STAGES.has(item?.stage) && (retryFailed || item?.stage !== "error");
+}
+
+function journalFactory(file, data, log) {
+  const save = () => {
+    data.updatedAt = new Date().toISOString();
+    try { writeJsonAtomic(file, data); } catch (e) { log.warn(`Failed to write session journal: ${e.message}`); }
+  };
+  return {
+    id: data.id,
+    data,
+    update(itemId, stage, error = null) {
+      data.items[itemId] = { stage, error, updatedAt: new Date().toISOString() };
+      save();
+    },
+    unfinished(retryFailed) {
+      return Object.entries(data.items)
+        .filter(([, it]) => isPending(it, retryFailed))
+        .map(([itemId]) => itemId);
+    },
+    counts() {
+      const c = {};
+      for (const it of Object.values(data.items)) c[it.stage] = (c[it.stage] || 0) + 1;
+      return c;
+    },
+    save
+  };
+}
+
+/**
+ * @param {string} output
+ * @param {string[]} ids
+ * @param {{ options?: object, log?: import("./log.js").Logger }} [extra]  options: restored on resume
+ */
+export function createJournal(output, ids, { options = {}, log = silentLogger } = {}) {
+  const dir = path.join(output, SESSIONS_DIR);
+  fs.mkdirSync(dir, { recursive: true });
+  const now = new Date();
+  // 20250101-120000123-3f9a: sorts by time; the suffix keeps runs started together apart
+  const stamp = now.toISOString().replace(/[-:.Z]/g, "").replace("T", "-");
+  let id;
+  for (;;) {
+    id = `${stamp}-${crypto.randomBytes(2).toString("hex")}`;
+    try {
+      // claimed before anything is written, so a twin run can't take the same file
+      fs.closeSync(fs.openSync(path.join(dir, `${id}.json`), "wx"));
+      break;
+    } catch (e) {
+      if (e.code !== "EEXIST") throw e;
+    }
+  }
+  const data = {
+    id,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    options,
+    items: {}
+  };
+  for (const itemId of ids) data.items[itemId] = { stage: "discovered", error: null, updatedAt: data.createdAt };
+  const journal = journalFactory(path.join(dir, `${id}.json`), data, log);
+  journal.save();
+  return journal;
+}
+
+/**
+ * @param {string} output
+ * @param {string|null} sessionId       null → latest session with work left
+ * @param {boolean} retryFailed         count failed items as work left
+ * @param {{ log?: import("./log.js").Logger }} [extra]
+ */
+export function openJournal(output, sessionId, retryFailed, { log = silentLogger } = {}) {
+  const dir = path.join(output, SESSIONS_DIR);
+  let file;
+  if (sessionId) {
+    file = path.join(dir, `${sessionId.replace(/\.json$/, "")}.json`);
+  } else {
+    // latest session that still has work left
+    const candidates = (fs.existsSync(dir) ? fs.readdirSync(dir) : [])
+      .filter(f => f.endsWith(".json"))
+      .sort()
+      .reverse();
+    file = candidates
+      .map(f => path.join(dir, f))
+      .find(fp => {
+        try {
+          const items = Object.values(JSON.parse(fs.readFileSync(fp, "utf8")).items || {});
+          return items.some(it => isPending(it, retryFailed));
+        } catch { return false; }
+      });
+  }
+  if (!file || !fs.existsSync(file)) {
+    throw new Error(sessionId ? `Session "${sessionId}" not found in ${dir}` : `No unfinished session found in ${dir}`);
+  }
+  return journalFactory(file, JSON.parse(fs.readFileSync(file, "utf8")), log);
+}
@@ -0,0 +1,41 @@
+/**
+ * cin-dl : console logger.
+ */
+
+import { format } from "util";
+
+const LOG_LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+/**
+ * @typedef {Object} Logger
+ * @property {(...args: any[]) => void} error
+ * @property {(...args: any[]) => void} warn
+ * @property {(...args: any[]) => void} info
+ * @property {(...args: any[]) => void} debug
+ */
+
+/* ---- default sink: errors/warnings to stderr, the rest to stdout ---- */
+export function consolePrint(line, level) {
+  if (level === "error" || level === "warn") console.error(line);
+  else console.log(line);
+}
+
+/**
+ * @param {"error"|"warn"|"info"|"debug"} level
+ * @param {{ print?: (line: string, level: string) => void }} [opts]  where finished lines go
+ * @returns {Logger}
+ */
+export function loggerFactory(level, { print = consolePrint } = {}) {
+  const cur = LOG_LEVELS[level] ?? 2;
+  const line = (tag, a) => `[${new Date().toISOString()}] ${tag} ${format(...a)}`;
+  return {
+    error: (...a) => cur >= 0 && print(line("\x1b[31mERROR\x1b[0m", a), "error"),
+    warn:  (...a) => cur >= 1 && print(line("\x1b[33mWARN \x1b[0m", a), "warn"),
+    info:  (...a) => cur >= 2 && print(line("\x1b[36mINFO \x1b[0m", a), "info"),
+    debug: (...a) => cur >= 3 && print(line("\x1b[2mDEBUG\x1b[0m", a), "debug")
+  };
+}
+
+/* ---- library default: stay quiet, events carry the progress ---- */
+/** @type {Logger} */
+export const silentLogger = { error() {}, warn() {}, info() {}, debug() {} };
@@ -0,0 +1,210 @@
+/**
+ * cin-dl : media-server metadata (`--metadata nfo`).
+ *
+ * Kodi-style NFO files (also read by Jellyfin/Emby) built from allVideoInfo,
+ * plus the poster/fanart/thumbnail it references:
+ *
+ *   movie in its own folder   movie.nfo, poster.jpg, fanart.jpg
+ *   movie among others        <name>.nfo, <name>-poster.jpg, <name>-fanart.jpg
+ *   series (--structure series)
+ *     Show/                   tvshow.nfo, poster.jpg, fanart.jpg
+ *     Show/Sxx/               <name>.nfo, <name>-thumb.jpg
+ */
+
+import fs from "fs";
+import path from "path";
+import { chooseBaseTitle, pad2 } from "./helpers.js";
+
+/* ---- the API isn't consistent about field names; first non-empty wins ---- */
+function pick(obj, ...keys) {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v != null && String(v).trim() !== "") return String(v).trim();
+  }
+  return null;
+}
+
+function names(list, ...keys) {
+  return (Array.isArray(list) ? list : []).map(x => (typeof x === "string" ? x.trim() : pick(x, ...keys))).filter(Boolean);
+}
+
+function esc(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/* ---- [tag, value] pairs → indented XML; null/empty values are left out, arrays repeat the tag ---- */
+function xml(root, fields) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>', `<${root}>`];
+  const emit = (tag, value, indent) => {
+    if (value == null || value === "") return;
+    if (Array.isArray(value)) {
+      for (const v of value) emit(tag, v, indent);
+    } else if (typeof value === "object") {
+      const attrs = Object.entries(value.$ || {}).map(([k, v]) => ` ${k}="${esc(v)}"`).join("");
+      if (value._ != null) {
+        lines.push(`${indent}<${tag}${attrs}>${esc(value._)}</${tag}>`);
+      } else {
+        lines.push(`${indent}<${tag}${attrs}>`);
+        for (const [k, v] of Object.entries(value)) if (k !== "$") emit(k, v, `${indent}  `);
+        lines.push(`${indent}</${tag}>`);
+      }
+    } else {
+      lines.push(`${indent}<${tag}>${esc(value)}</${tag}>`);
+    }
+  };
+  for (const [tag, value] of fields) emit(tag, value, "  ");
+  lines.push(`</${root}>`, "");
+  return lines.join("\n");
+}
+
+/* ---- fields shared by every kind of NFO ---- */
+function commonFields(info) {
+  const title = chooseBaseTitle(info);
+  const ar = pick(info, "ar_title");
+  const rating = Number(pick(info, "stars", "rating"));
+  return [
+    ["title", title],
+    ["originaltitle", ar && ar !== title ? ar : null],
+    ["plot", pick(info, "en_content", "ar_content", "content")],
+    ["year", pick(info, "year")],
+    ["ratings", rating ? { rating: { $: { name: "cinemana", max: "10", default: "true" }, value: rating } } : null],
+    ["genre", names(info?.categories, "en_title", "ar_title", "name")],
+    ["director", names(info?.directorsInfo, "name")],
+    ["credits", names(info?.writersInfo, "name")],
+    ["actor", (Array.isArray(info?.actorsInfo) ? info.actorsInfo : []).map(a => ({
+      name: pick(a, "name", "en_title", "ar_title"),
+      role: pick(a, "character", "roleName")
+    })).filter(a => a.name)]
+  ];
+}
+
+const uniqueId = (id) => ["uniqueid", { $: { type: "cinemana", default: "true" }, _: id }];
+
+/** @returns {string} movie.nfo / <name>.nfo contents */
+export function movieNfo(info, id) {
+  return xml("movie", [...commonFields(info), uniqueId(id)]);
+}
+
+/** @returns {string} tvshow.nfo contents (`info` of the root series when available) */
+export function tvShowNfo(info, id) {
+  return xml("tvshow", [...commonFields(info), uniqueId(id)]);
+}
+
+/** @returns {string} per-episode NFO contents */
+export function episodeNfo(info, id, showTitle) {
+  const [[, title], ...rest] = commonFields(info);
+  const season = pad2(info?.season);
+  const episode = pad2(info?.episodeNummer);
+  // episodes usually carry the show's title; fall back to "Episode N"
+  const epTitle = pick(info, "episodeTitle", "episode_title") || (title !== showTitle ? title : episode && `Episode ${Number(episode)}`);
+  return xml("episodedetails", [
+    ["title", epTitle || title],
+    ["showtitle", showTitle],
+    ["season", season && Number(season)],
+    ["episode", episode && Number(episode)],
+    ...rest.filter(([tag]) => tag !== "originaltitle"),
+    uniqueId(id)
+  ]);
+}
+
+/** @returns {{ poster: string|null, fanart: string|null, thumb: string|null }} */
+export function artworkUrls(info) {
+  return {
+    poster: pick(info, "imgObjUrl", "imgMediumThumbObjUrl"),
+    fanart: pick(info, "imgBackgroundObjUrl", "backgroundImgObjUrl", "fanartObjUrl"),
+    thumb: pick(info, "imgThumbObjUrl", "imgMediumThumbObjUrl", "imgObjUrl")
+  };
+}
+
+function imageExt(url) {
+  try { return path.extname(new URL(url).pathname).toLowerCase().match(/^\.(jpe?g|png|webp)$/)?.[0] || ".jpg"; } catch { return ".jpg"; }
+}
+
+/**
+ * Write the NFO files and artwork for one title. Artwork that already exists is
+ * kept; NFOs are rewritten every run so they follow the API.
+ * @param {{
+ *   api: ReturnType<typeof import("./api.js").createApi>,
+ *   log: import("./log.js").Logger,
+ *   downloader: ReturnType<typeof import("./download.js").createDownloader>
+ * }} ctx
+ * @param {string} id
+ * @param {object} info       allVideoInfo
+ * @param {{
+ *   dir: string,             folder of the video
+ *   nameCore: string,        video filename without extension
+ *   ownFolder: boolean,      a movie alone in `dir`
+ *   showDir: string|null,    series folder (for tvshow.nfo), null = none
+ *   shows?: Map<string, Promise<string[]>>,  showDir → its files being written; share one per run
+ *   signal?: AbortSignal
+ * }} where
+ * @returns {Promise<string[]>} files written
+ */
+export async function writeNfoMetadata(ctx, id, info, { dir, nameCore, ownFolder, showDir, shows = new Map(), signal }) {
+  const { api, log, downloader } = ctx;
+  // the show's files are collected apart and handed to the episode that wrote them
+  const writer = (written = []) => ({
+    written,
+    write: (fp, text) => {
+      fs.writeFileSync(`${fp}.part`, text);
+      fs.renameSync(`${fp}.part`, fp);
+      written.push(fp);
+    },
+    image: async (url, fpNoExt) => {
+      if (!url) return;
+      const fp = `${fpNoExt}${imageExt(url)}`;
+      try {
+        await downloader.downloadWithRetry(url, fp, { skipExisting: true, verify: false, signal });
+        written.push(fp);
+      } catch (e) {
+        if (signal?.aborted) throw e;
+        log.warn(`Artwork ${path.basename(fp)} failed: ${e.message}`);
+      }
+    }
+  });
+  const { written, write, image } = writer();
+  // the cache keeps no signed URLs (see cache.js), so info from it may lack the artwork; ask the API then
+  const withArtwork = async (data, dataId) => {
+    const art = artworkUrls(data);
+    if (art.poster || art.fanart || art.thumb) return data;
+    try { return (await api.getAllVideoInfo(dataId, { fresh: true })) || data; } catch (e) { log.debug(`Artwork info ${dataId}: ${e.message}`); return data; }
+  };
+
+  info = await withArtwork(info, id);
+  const isSeries = String(info?.kind || "") === "2";
+  if (!isSeries) {
+    const prefix = ownFolder ? "" : `${nameCore}-`;
+    write(path.join(dir, ownFolder ? "movie.nfo" : `${nameCore}.nfo`), movieNfo(info, id));
+    const art = artworkUrls(info);
+    await image(art.poster, path.join(dir, `${prefix}poster`));
+    await image(art.fanart, path.join(dir, `${prefix}fanart`));
+    return written;
+  }
+
+  const showTitle = chooseBaseTitle(info);
+  if (showDir && shows.has(showDir)) {
+    await shows.get(showDir);
+  } else if (showDir) {
+    // once per show and run: the root series has the show's own plot/artwork
+    const pending = (async () => {
+      const own = writer();
+      const rootId = pick(info, "rootSeries");
+      let show = info;
+      if (rootId && rootId !== String(id)) {
+        try { show = await withArtwork((await api.getAllVideoInfo(rootId)) || info, rootId); } catch (e) { log.debug(`Series info ${rootId}: ${e.message}`); }
+      }
+      own.write(path.join(showDir, "tvshow.nfo"), tvShowNfo(show, rootId || id));
+      const art = artworkUrls(show);
+      await own.image(art.poster, path.join(showDir, "poster"));
+      await own.image(art.fanart, path.join(showDir, "fanart"));
+      return own.written;
+    })();
+    shows.set(showDir, pending);
+    // a show that failed is tried again by its next episode
+    pending.catch(() => shows.delete(showDir));
+    written.push(...await pending);
+  }
+  write(path.join(dir, `${nameCore}.nfo`), episodeNfo(info, id, showTitle));
+  await image(artworkUrls(info).thumb, path.join(dir, `${nameCore}-thumb`));
+  return written;
+}
@@ -0,0 +1,519 @@
+/**
+ * cin-dl : core pipeline for one movie/episode id.
+ */
+
+import fs from "fs";
+import path from "path";
+import prettyBytes from "pretty-bytes";
+import sanitize from "sanitize-filename";
+import {
+  buildTitle,
+  chooseBaseTitle,
+  extFromUrl,
+  fileSize,
+  filterSubtitleTracks,
+  isExpiringSoon,
+  pad2,
+  parseExpiryEpoch
+} from "./helpers.js";
+import { burnSub, ffmpegAvailable, muxSubs } from "./ffmpeg.js";
+import { isHlsUrl } from "./hls.js";
+import { writeNfoMetadata } from "./nfo.js";
+import { needsSizes, pickQuality, probeQualitySizes } from "./quality.js";
+import { downloadSubtitles, parseFpsRatio, planSubtitleFiles } from "./subtitles.js";
+import { renderDirPath, renderFileName, templateVariables } from "./template.js";
+import { readSidecar } from "./verify.js";
+
+function minutesLeft(epoch) {
+  return Math.max(0, Math.round((epoch - Math.floor(Date.now() / 1000)) / 60));
+}
+
+/* ---- container tags for the muxed MKV ---- */
+function containerTags(info, { baseTitle, isSeries, season, episode }) {
+  const se = isSeries && season && episode ? ` S${season}E${episode}` : "";
+  return {
+    title: `${baseTitle}${se}`,
+    show: isSeries ? baseTitle : null,
+    season_number: isSeries ? Number(season) || null : null,
+    episode_sort: isSeries ? Number(episode) || null : null,
+    date: info?.year || null
+  };
+}
+
+/**
+ * @typedef {Object} ItemResult
+ * @property {string} id
+ * @property {"ok"|"no-qualities"|"no-quality-match"|"no-quality-url"|"error"|"cancelled"} status
+ * @property {string} [title]
+ * @property {string|null} [season]
+ * @property {string|null} [episode]
+ * @property {string} [quality]
+ * @property {string} [outDir]
+ * @property {string} [file]         the video (or the MKV that replaced it)
+ * @property {string[]} [subtitles]
+ * @property {number} [bytes]        size of everything the title left on disk
+ * @property {number} [downloaded]   bytes actually transferred this run
+ * @property {"ok"|"failed"|"kept"|null} [mux]
+ * @property {"ok"|"failed"|"no-track"|null} [burn]
+ * @property {string[]} [warnings]   mux/burn/NFO/hook failures that didn't fail the item
+ * @property {number} [durationMs]   set by client.download()
+ * @property {string} [error]
+ * @property {Record<string, string>} [vars]  its --name-template variables (see templateVars), for the hooks
+ * @property {PlannedItem} [plan]    dry runs only
+ */
+
+/**
+ * One id, resolved: what `--plan-out` saves and `--plan-in` downloads (see plan.js).
+ * Sizes are probed on dry runs only; null = unknown (HLS, or the server didn't say).
+ * @typedef {Object} PlannedItem
+ * @property {string} id
+ * @property {string} title
+ * @property {string|null} season
+ * @property {string|null} episode
+ * @property {string} quality         quality name, e.g. "mp4-720"
+ * @property {{ name: string|null, resolution: string|null }} source  the transcoddedFiles entry, to re-sign its URL
+ * @property {string} dir
+ * @property {string|null} showDir    where tvshow.nfo and the show's artwork go
+ * @property {string} nameCore        file name without extension
+ * @property {{ path: string, url: string, size: number|null, remux: boolean }} video
+ * @property {{ lang: string, ext: string, sourceExt: string, path: string, url: string, size: number|null }[]} subtitles
+ */
+
+/**
+ * @typedef {{
+ *   api: ReturnType<typeof import("./api.js").createApi>,
+ *   log: import("./log.js").Logger,
+ *   downloader: ReturnType<typeof import("./download.js").createDownloader>,
+ *   emit: (event: string, payload: object) => void
+ * }} PipelineContext
+ */
+
+/* ---- the config file's settings for this series (or movie), see config.js ---- */
+function withSeriesOverrides(cfg, id, info) {
+  const isSeries = String(info?.kind || "") === "2";
+  const own = (isSeries && cfg.seriesOverrides?.[String(info?.rootSeries ?? "")]) || cfg.seriesOverrides?.[id];
+  return own ? { ...cfg, ...own } : cfg;
+}
+
+/**
+ * The --name-template / --dir-template variables of a title (see TEMPLATE_VARS);
+ * the hooks get the same ones.
+ * @param {object} info  getAllVideoInfo()
+ * @param {{ id: string, quality?: string|null, resolution?: string|null }} extra
+ * @returns {Record<string, string>}
+ */
+export function templateVars(info, { id, quality = null, resolution = null }) {
+  const isSeries = String(info?.kind || "") === "2";
+  return {
+    title: buildTitle(info),
+    show: chooseBaseTitle(info),
+    en_title: info?.en_title ?? "",
+    ar_title: info?.ar_title ?? "",
+    episode_title: info?.episodeTitle || info?.episode_title || "",
+    // a movie's season/episode fields mean nothing; empty lets [...] segments drop them
+    season: (isSeries && pad2(info?.season)) || "",
+    episode: (isSeries && pad2(info?.episodeNummer)) || "",
+    year: info?.year != null ? String(info.year) : "",
+    id: String(id),
+    quality: quality ?? "",
+    resolution: resolution ?? ""
+  };
+}
+
+/* ---- url → probed size; failures are just unknown ---- */
+async function probeSizes(downloader, urls, signal) {
+  const sizes = new Map();
+  await Promise.all([...new Set(urls)].map(async (url) => {
+    try { sizes.set(url, (await downloader.probe(url, signal)).total); } catch { sizes.set(url, null); }
+  }));
+  return sizes;
+}
+
+/**
+ * Resolve one id: quality, target paths and subtitle tracks.
+ * @param {PipelineContext} ctx
+ * @param {string} id
+ * @param {import("./client.js").DownloadSettings & { signal?: AbortSignal, nfoShows?: Map<string, Promise<string[]>> }} cfg
+ * @returns {Promise<{ result: ItemResult } | { item: PlannedItem, info: object, cfg: object, chosen: object }>}
+ *   result when there's nothing to download; cfg has the series overrides applied
+ */
+async function planMovie(ctx, id, cfg) {
+  const { api, log, downloader } = ctx;
+  const info = await api.getAllVideoInfo(id);
+  const isSeries = String(info?.kind || "") === "2";
+  cfg = withSeriesOverrides(cfg, id, info);
+
+  const baseTitle = chooseBaseTitle(info);
+  const smartTitle = buildTitle(info);
+
+  const season = pad2(info?.season);
+  const episode = pad2(info?.episodeNummer);
+
+  const qualities = await api.getTranscodedFiles(id);
+  if (!qualities || qualities.length === 0) {
+    log.warn(`No transcoded files for ${id}. Skipping.`);
+    return { result: { id, status: "no-qualities", title: smartTitle, season, episode, vars: templateVars(info, { id }) } };
+  }
+  const sizes = needsSizes(cfg.quality, cfg.maxFilesize) ? await probeQualitySizes(downloader, qualities, cfg.signal) : null;
+  const chosen = pickQuality(qualities, cfg.quality, { maxFilesize: cfg.maxFilesize, sizes });
+  if (!chosen) {
+    const cap = cfg.maxFilesize ? ` within ${prettyBytes(cfg.maxFilesize, { binary: true })}` : "";
+    log.warn(`No quality of ${id} matches "${cfg.quality}"${cap} (see --list-qualities ${id}). Skipping.`);
+    return { result: { id, status: "no-quality-match", title: smartTitle, season, episode, vars: templateVars(info, { id }) } };
+  }
+  if (!chosen.videoUrl) {
+    log.warn(`No usable quality for ${id}. Skipping.`);
+    const quality = chosen.name || null;
+    return { result: { id, status: "no-quality-url", title: smartTitle, season, episode, quality, vars: templateVars(info, { id, quality }) } };
+  }
+
+  const videoUrl = chosen.videoUrl;
+  const qname = chosen.name || chosen.resolution || "video";
+  // HLS segments are joined into MPEG-TS; ffmpeg (when present) remuxes that into MP4
+  const hls = isHlsUrl(videoUrl);
+  const remux = hls && await ffmpegAvailable(cfg.ffmpeg);
+  if (hls && !remux) log.warn(`${id} is an HLS stream and ffmpeg isn't available; saving it as .ts.`);
+  const vext  = hls ? (remux ? ".mp4" : ".ts") : extFromUrl(videoUrl, ".mp4");
+
+  const nameVars = templateVars(info, { id, quality: qname, resolution: chosen.resolution });
+
+  // directory structure
+  let targetDir = cfg.output;
+  let showDir = null;
+  if (cfg.dirTemplate) {
+    const rel = renderDirPath(cfg.dirTemplate, nameVars);
+    targetDir = path.join(cfg.output, rel);
+    // tvshow.nfo and the show's artwork go in the template's first folder
+    if (isSeries && rel) showDir = path.join(cfg.output, rel.split(path.sep)[0]);
+  } else if (cfg.structure === "series" && isSeries) {
+    const showName = sanitize(baseTitle);
+    const s = season || "00";
+    showDir = path.join(cfg.output, showName);
+    targetDir = path.join(showDir, `S${s}`);
+  }
+
+  // filename from template
+  const nameCore = renderFileName(cfg.nameTemplate, nameVars) || id;
+
+  // subtitles (stale URLs are re-fetched, so listing them up front is safe)
+  const subsResp = await api.getTranslationFiles(id);
+  const tracksRaw = Array.isArray(subsResp?.translations) ? subsResp.translations : [];
+  // every requested format is converted from whatever the server has, unless --subs-raw
+  const planned = cfg.subsRaw
+    ? filterSubtitleTracks(tracksRaw, cfg.subs, cfg.subsFormat).map(t => ({ ...t, sourceExt: t.ext }))
+    : planSubtitleFiles(filterSubtitleTracks(tracksRaw, cfg.subs, "both"), cfg.subsFormat);
+  if (planned.length === 0) log.info("No matching subtitles.");
+  // a template that places {lang} itself names subtitles completely; otherwise it's <name>.<lang>.<ext>
+  const subName = templateVariables(cfg.nameTemplate).has("lang")
+    ? (lang) => renderFileName(cfg.nameTemplate, { ...nameVars, lang })
+    : (lang) => `${nameCore}.${lang}`;
+
+  // a dry run is for reviewing, so it asks what everything weighs; a converted subtitle is guessed at its source's size
+  const probed = cfg.dryRun
+    ? await probeSizes(downloader, [...(hls || sizes?.has(videoUrl) ? [] : [videoUrl]), ...planned.map(t => t.url)], cfg.signal)
+    : new Map();
+  const sizeOf = (url) => sizes?.get(url) ?? probed.get(url) ?? null;
+
+  /** @type {PlannedItem} */
+  const item = {
+    id,
+    title: smartTitle,
+    season,
+    episode,
+    quality: qname,
+    source: { name: chosen.name ?? null, resolution: chosen.resolution ?? null },
+    dir: targetDir,
+    showDir,
+    nameCore,
+    video: { path: path.join(targetDir, `${nameCore}${vext}`), url: videoUrl, size: hls ? null : sizeOf(videoUrl), remux },
+    subtitles: planned.map(t => ({
+      lang: t.lang,
+      ext: t.ext,
+      sourceExt: t.sourceExt,
+      path: path.join(targetDir, `${subName(t.lang)}.${t.ext}`),
+      url: t.url,
+      size: sizeOf(t.url)
+    }))
+  };
+  return { item, info, cfg, chosen };
+}
+
+function emitPlan(emit, item) {
+  emit("plan", {
+    id: item.id,
+    title: item.title,
+    quality: item.quality,
+    dir: item.dir,
+    files: [
+      { kind: "video", path: item.video.path, size: item.video.size },
+      ...item.subtitles.map(t => ({ kind: "subtitle", lang: t.lang, path: t.path, size: t.size }))
+    ]
+  });
+}
+
+/** @returns {ItemResult} */
+function dryRunResult(item, info) {
+  const { id, quality } = item;
+  return { id, status: "ok", title: item.title, season: item.season, episode: item.episode, quality,
+    outDir: item.dir, file: item.video.path, subtitles: item.subtitles.map(t => t.path),
+    vars: templateVars(info, { id, quality, resolution: item.source.resolution }), plan: item };
+}
+
+/* ---- a signed URL that has already lapsed is re-signed before use; one about to is only announced ---- */
+async function freshUrl(log, source, url, label) {
+  const exp = parseExpiryEpoch(url);
+  if (isExpiringSoon(exp, 0)) await source(url);
+  else if (isExpiringSoon(exp)) log.warn(`${label} URL expires in ~${minutesLeft(exp)} min; it will be re-fetched if it lapses.`);
+}
+
+/**
+ * Resolve and download one id (or only resolve it, on a dry run).
+ * @param {PipelineContext} ctx
+ * @param {string} id
+ * @param {import("./client.js").DownloadSettings & { signal?: AbortSignal, nfoShows?: Map<string, Promise<string[]>> }} cfg
+ * @returns {Promise<ItemResult>}
+ */
+export async function processMovie(ctx, id, cfg) {
+  ctx.log.info(`\n== Movie/Episode ${id} ==`);
+  const resolved = await planMovie(ctx, id, cfg);
+  if (resolved.result) return resolved.result;
+  const { item } = resolved;
+  emitPlan(ctx.emit, item);
+  if (resolved.cfg.dryRun) return dryRunResult(item, resolved.info);
+  return downloadItem(ctx, item, resolved);
+}
+
+/**
+ * Download an item exactly as planned (--plan-in): same quality and paths; lapsed URLs are re-signed.
+ * A dry run only shows it again.
+ * @param {PipelineContext} ctx
+ * @param {PlannedItem} item
+ * @param {import("./client.js").DownloadSettings & { signal?: AbortSignal, nfoShows?: Map<string, Promise<string[]>> }} cfg
+ * @returns {Promise<ItemResult>}
+ */
+export async function processPlannedItem(ctx, item, cfg) {
+  ctx.log.info(`\n== Movie/Episode ${item.id} (planned) ==`);
+  // for the NFO files, MKV tags and the sidecar
+  const info = await ctx.api.getAllVideoInfo(item.id);
+  emitPlan(ctx.emit, item);
+  if (cfg.dryRun) return dryRunResult(item, info);
+  return downloadItem(ctx, item, {
+    info,
+    cfg: withSeriesOverrides(cfg, item.id, info),
+    chosen: { ...item.source, videoUrl: item.video.url }
+  });
+}
+
+/**
+ * @param {PipelineContext} ctx
+ * @param {PlannedItem} item
+ * @param {{ info: object, cfg: import("./client.js").DownloadSettings & { signal?: AbortSignal, nfoShows?: Map<string, Promise<string[]>> }, chosen: object }} resolved
+ * @returns {Promise<ItemResult>}
+ */
+async function downloadItem(ctx, item, { info, cfg, chosen }) {
+  const { api, log, downloader, emit } = ctx;
+  const { id, nameCore, showDir, season, episode, quality: qname } = item;
+  const isSeries = String(info?.kind || "") === "2";
+  const baseTitle = chooseBaseTitle(info);
+  const targetDir = item.dir;
+  const vpath = item.video.path;
+  const vname = path.basename(vpath);
+  const subFiles = item.subtitles;
+  // with --mux-replace the MKV takes the video's place
+  const mkvPath = path.join(targetDir, `${nameCore}${cfg.muxReplace ? ".mkv" : ".muxed.mkv"}`);
+  const result = {
+    id, status: "ok", title: item.title, season, episode, quality: qname, outDir: targetDir, file: vpath,
+    vars: templateVars(info, { id, quality: qname, resolution: chosen.resolution })
+  };
+
+  fs.mkdirSync(targetDir, { recursive: true });
+  // sizes/ETags from the last run let existing files be checked against it
+  const sidecarPath = path.join(targetDir, `${nameCore}.json`);
+  const known = readSidecar(sidecarPath)?.files || {};
+  const files = {};
+  // the replaced original can't be checked or resumed; the MKV built from it stands in
+  const built = known[path.basename(mkvPath)];
+  if (cfg.muxSubs && cfg.muxReplace && cfg.skipExisting && !cfg.overwrite && built?.kind === "muxed" && built.size === fileSize(mkvPath)) {
+    log.info(`Already muxed: ${mkvPath}`);
+    emit("file-done", { id, kind: "muxed", path: mkvPath, status: "kept" });
+    for (const stage of ["video-done", "subs-done", "muxed"]) emit("stage", { id, stage });
+    return { ...result, file: mkvPath, subtitles: [], bytes: built.size, downloaded: 0, mux: "kept", burn: null, warnings: [] };
+  }
+  const warnings = [];
+  const transferred = new Map(); // path → [last downloaded, bytes so far]
+  const countBytes = (fp, downloaded) => {
+    const [last, sum] = transferred.get(fp) || [downloaded, 0];
+    transferred.set(fp, [downloaded, sum + (downloaded >= last ? downloaded - last : downloaded)]);
+  };
+  const fileOpts = (filePath, extra = {}) => ({
+    skipExisting: cfg.skipExisting,
+    overwrite: cfg.overwrite,
+    verify: cfg.verify,
+    expected: known[path.basename(filePath)] || null,
+    signal: cfg.signal,
+    onProgress: ({ downloaded, total }) => {
+      countBytes(filePath, downloaded);
+      emit("progress", { id, path: filePath, downloaded, total });
+    },
+    ...extra
+  });
+
+  const videoSource = downloader.refreshableUrl(item.video.url, `${id} video (${qname})`, async () => {
+    const fresh = await api.getTranscodedFiles(id);
+    return fresh.find(q => q?.name === chosen.name && q?.resolution === chosen.resolution)?.videoUrl || null;
+  });
+  await freshUrl(log, videoSource, item.video.url, `Video (${id})`);
+  const vres = await downloader.downloadWithRetry(videoSource, vpath, fileOpts(vpath, {
+    connections: cfg.connections,
+    quality: cfg.quality,
+    ffmpeg: item.video.remux ? cfg.ffmpeg : null
+  }));
+  files[vname] = { kind: "video", size: vres.size, etag: vres.etag };
+  emit("file-done", { id, kind: "video", path: vpath, status: vres.status });
+  emit("stage", { id, stage: "video-done" });
+
+  const processingFor = (t) => ({
+    from: t.sourceExt,
+    encoding: cfg.subsEncoding,
+    bom: !!cfg.subsBom,
+    offsetMs: Number(cfg.subsOffset) || 0,
+    fps: cfg.subsFps ? parseFpsRatio(cfg.subsFps) : null
+  });
+  // a processed file can't be checked against the server; keep it if the sidecar vouches for it
+  // (no entry: left by a crashed or --subs-raw run, so it is fetched again unless --trust-existing)
+  const keepProcessed = (fp, processed) => {
+    if (!fs.existsSync(fp) || !cfg.skipExisting || cfg.overwrite) return false;
+    const k = known[path.basename(fp)];
+    if (!k) return cfg.verify === false;
+    return k.size === fileSize(fp) && JSON.stringify(k.processed) === JSON.stringify(processed);
+  };
+  // outputs converted from the same server track share one download
+  const bySource = new Map();
+  for (const t of subFiles) {
+    const key = `${t.lang}\n${t.url}`;
+    bySource.set(key, [...(bySource.get(key) || []), t]);
+  }
+  for (const group of bySource.values()) {
+    const [first] = group;
+    const subSource = downloader.refreshableUrl(first.url, `${id} subtitle (${first.lang}.${first.sourceExt})`, async () => {
+      const fresh = await api.getTranslationFiles(id);
+      const tracks = Array.isArray(fresh?.translations) ? fresh.translations : [];
+      return filterSubtitleTracks(tracks, first.lang, "both").find(x => x.ext === first.sourceExt)?.url || null;
+    });
+    await freshUrl(log, subSource, first.url, `Subtitle (${first.lang})`);
+    const processedOf = new Map(group.map(t => [t, cfg.subsRaw ? null : processingFor(t)]));
+    const results = new Map(); // track → facts
+    const pending = [];
+    for (const t of group) {
+      if (cfg.subsRaw) results.set(t, await downloader.downloadWithRetry(subSource, t.path, fileOpts(t.path)));
+      else if (keepProcessed(t.path, processedOf.get(t))) results.set(t, { status: "kept", size: fileSize(t.path), etag: null });
+      else pending.push(t);
+    }
+    if (pending.length) {
+      const outputs = pending.map(t => ({ filePath: t.path, processing: { format: t.ext, ...processedOf.get(t) } }));
+      const facts = await downloadSubtitles(downloader, subSource, outputs, fileOpts(pending[0].path));
+      pending.forEach((t, i) => results.set(t, { status: "downloaded", ...facts[i] }));
+    }
+    for (const t of group) {
+      const sres = results.get(t);
+      const processed = processedOf.get(t);
+      files[path.basename(t.path)] = { kind: "subtitle", lang: t.lang, size: sres.size, etag: sres.etag, ...(processed && { processed }) };
+      emit("file-done", { id, kind: "subtitle", lang: t.lang, path: t.path, status: sres.status });
+    }
+  }
+  emit("stage", { id, stage: "subs-done" });
+
+  // one track per language for ffmpeg, SRT over VTT
+  const byLang = new Map();
+  for (const t of subFiles) if (!byLang.has(t.lang) || t.ext === "srt") byLang.set(t.lang, t);
+  const subTracks = [...byLang.values()];
+
+  let burn = null;
+  if ((cfg.burnSubs || cfg.burnLang) && subTracks.length > 0) {
+    const t = cfg.burnLang ? subTracks.find(x => x.lang === cfg.burnLang) : subTracks[0];
+    if (!t) {
+      burn = "no-track";
+      log.warn(`No ${cfg.burnLang} subtitle to burn for ${id}.`);
+    } else {
+      try { const out = await burnSub(cfg.ffmpeg, vpath, t.path); burn = "ok"; log.info(`Burned (${t.lang}) -> ${out}`); }
+      catch (e) { burn = "failed"; warnings.push(`burn: ${e.message}`); log.error(`Burn failed: ${e.message}`); }
+    }
+  }
+  let mux = null;
+  let finalPath = vpath;
+  if (cfg.muxSubs && subTracks.length > 0) {
+    if (cfg.defaultSub && !byLang.has(cfg.defaultSub)) log.warn(`No ${cfg.defaultSub} subtitle to mark as default for ${id}.`);
+    try {
+      const out = await muxSubs(cfg.ffmpeg, vpath, subTracks, {
+        defaultLang: cfg.defaultSub,
+        metadata: containerTags(info, { baseTitle, isSeries, season, episode }),
+        replace: cfg.muxReplace
+      });
+      if (cfg.muxReplace) {
+        delete files[vname];
+        finalPath = out;
+      }
+      files[path.basename(out)] = { kind: "muxed", size: fileSize(out), etag: null, tracks: subTracks.map(t => t.lang) };
+      mux = "ok";
+      log.info(`Muxed -> ${out}`);
+      emit("stage", { id, stage: "muxed" });
+    } catch (e) {
+      mux = "failed";
+      warnings.push(`mux: ${e.message}`);
+      log.error(`Mux failed: ${e.message}`);
+    }
+  }
+
+  if (cfg.metadata === "nfo") {
+    try {
+      const written = await writeNfoMetadata(ctx, id, info, {
+        dir: targetDir,
+        nameCore,
+        ownFolder: !isSeries && targetDir !== cfg.output,
+        showDir,
+        shows: cfg.nfoShows,
+        signal: cfg.signal
+      });
+      log.info(`NFO: ${written.map(fp => path.basename(fp)).join(", ")}`);
+    } catch (e) {
+      if (cfg.signal?.aborted) throw e;
+      warnings.push(`nfo: ${e.message}`);
+      log.warn(`Failed to write NFO metadata: ${e.message}`);
+    }
+  }
+
+  // metadata
+  if (cfg.saveMetadata) {
+    try {
+      const meta = {
+        id,
+        title: item.title,
+        baseTitle,
+        season: info?.season ?? null,
+        episode: info?.episodeNummer ?? null,
+        kind: info?.kind ?? null,
+        quality: qname,
+        videoPath: finalPath,
+        createdAt: new Date().toISOString(),
+        files,
+        api: { allVideoInfo: info, chosenQuality: chosen }
+      };
+      fs.writeFileSync(sidecarPath, JSON.stringify(meta, null, 2));
+    } catch (e) {
+      log.warn(`Failed to write metadata: ${e.message}`);
+    }
+  }
+
+  log.info(`Done: ${item.title}`);
+
+  return {
+    ...result,
+    file: finalPath,
+    subtitles: subFiles.map(t => t.path),
+    bytes: Object.values(files).reduce((sum, f) => sum + (f.size || 0), 0),
+    downloaded: [...transferred.values()].reduce((sum, [, n]) => sum + n, 0),
+    mux,
+    burn,
+    warnings
+  };
+}
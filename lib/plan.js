@@ -0,0 +1,130 @@
+/**
+ * cin-dl : download plans (--plan-out / --plan-in) and the disk-space preflight.
+ *
+ *   { version, createdAt, baseUrl, output, options, items: PlannedItem[], skipped: [{ id, status, error? }] }
+ *
+ * A plan pins down what a later run downloads: the quality and every path,
+ * with the sizes probed when it was made. Its signed URLs will have lapsed by
+ * then; they are re-signed through the API when the plan runs. `options` is
+ * whatever the caller wants restored with it (the CLI keeps its flags there).
+ */
+
+import fs from "fs";
+import path from "path";
+import prettyBytes from "pretty-bytes";
+import { fileSize, writeJsonAtomic } from "./helpers.js";
+
+const VERSION = 1;
+
+/**
+ * @typedef {Object} Plan
+ * @property {number} version
+ * @property {string} createdAt
+ * @property {string} baseUrl     the API that resolved it, and re-signs its URLs
+ * @property {string} output
+ * @property {object} options
+ * @property {import("./pipeline.js").PlannedItem[]} items
+ * @property {{ id: string, status: string, error?: string }[]} skipped   ids with nothing to download
+ */
+
+/**
+ * @param {import("./pipeline.js").ItemResult[]} results  of a dry run
+ * @param {{ ids: string[], baseUrl: string, output: string, options?: object }} opts  ids give the order
+ * @returns {Plan}
+ */
+export function createPlan(results, { ids, baseUrl, output, options = {} }) {
+  const order = new Map(ids.map((id, i) => [String(id), i]));
+  const sorted = [...results].sort((a, b) => (order.get(a.id) ?? 0) - (order.get(b.id) ?? 0));
+  return {
+    version: VERSION,
+    createdAt: new Date().toISOString(),
+    baseUrl,
+    output,
+    options,
+    items: sorted.filter(r => r.plan).map(r => r.plan),
+    skipped: sorted.filter(r => !r.plan).map(r => ({ id: r.id, status: r.status, ...(r.error && { error: r.error }) }))
+  };
+}
+
+export function writePlan(file, plan) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  writeJsonAtomic(file, plan);
+}
+
+/** @returns {Plan} */
+export function readPlan(file) {
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Can't read plan ${file}: ${e.message}`);
+  }
+  if (plan?.version !== VERSION || !Array.isArray(plan.items)) throw new Error(`${file} is not a cin-dl plan (version ${VERSION})`);
+  return { options: {}, skipped: [], ...plan };
+}
+
+/* ---- what a file still needs: its size minus what is already there, finished or .part ---- */
+function missingBytes(fp, size) {
+  return Math.max(0, size - Math.max(fileSize(fp), fileSize(`${fp}.part`)));
+}
+
+/**
+ * @param {Plan} plan
+ * @param {{ muxSubs?: boolean, muxReplace?: boolean }} [opts]  muxing writes a second copy of the video
+ * @returns {{ total: number, needed: number, unknown: number }}  bytes in the plan, bytes still to
+ *   write, and files nobody knows the size of (HLS streams, servers that don't say)
+ */
+export function planBytes(plan, { muxSubs = false, muxReplace = false } = {}) {
+  let total = 0;
+  let needed = 0;
+  let unknown = 0;
+  for (const item of plan.items) {
+    const files = [item.video, ...item.subtitles];
+    for (const f of files) {
+      if (f.size == null) { unknown++; continue; }
+      total += f.size;
+      needed += missingBytes(f.path, f.size);
+    }
+    if (muxSubs && item.subtitles.length && item.video.size != null) {
+      const mkv = path.join(item.dir, `${item.nameCore}${muxReplace ? ".mkv" : ".muxed.mkv"}`);
+      if (!fs.existsSync(mkv)) needed += item.video.size;
+    }
+  }
+  return { total, needed, unknown };
+}
+
+/** Free bytes on the volume `dir` is (or will be) on; null when the platform can't tell. */
+export function freeSpace(dir) {
+  let d = path.resolve(dir);
+  while (!fs.existsSync(d) && path.dirname(d) !== d) d = path.dirname(d);
+  try {
+    const s = fs.statfsSync(d);
+    return s.bavail * s.bsize;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a plan before it runs.
+ * @param {Plan} plan
+ * @param {{ output: string, maxTotalSize?: number|null, muxSubs?: boolean, muxReplace?: boolean }} opts
+ * @returns {ReturnType<typeof planBytes> & { free: number|null, errors: string[], warnings: string[] }}
+ *   errors: reasons not to start (not enough space, over --max-total-size)
+ */
+export function preflight(plan, { output, maxTotalSize = null, muxSubs = false, muxReplace = false }) {
+  const bytes = planBytes(plan, { muxSubs, muxReplace });
+  const free = freeSpace(output);
+  const fmt = (n) => prettyBytes(n, { binary: true });
+  const errors = [];
+  const warnings = [];
+  if (free != null && bytes.needed > free) {
+    errors.push(`not enough free space in ${output}: ${fmt(bytes.needed)} needed, ${fmt(free)} free`);
+  }
+  if (maxTotalSize != null && bytes.needed > maxTotalSize) {
+    errors.push(`${fmt(bytes.needed)} to download is more than --max-total-size ${fmt(maxTotalSize)}`);
+  }
+  if (bytes.unknown) warnings.push(`${bytes.unknown} file(s) of unknown size (HLS streams, servers that don't say) aren't counted`);
+  if (free == null) warnings.push(`couldn't tell the free space in ${output}`);
+  return { ...bytes, free, errors, warnings };
+}
@@ -0,0 +1,244 @@
+/**
+ * cin-dl : progress output for the CLI.
+ *
+ *   dashboard   one row per active job plus a total row (files, bytes, speed, ETA)
+ *   json        newline-delimited events on stdout for wrappers and CI:
+ *               {"event":"job-start","time":"…","id":"25006"}
+ *               {"event":"progress","time":"…","id":"25006","path":"…","downloaded":1048576,"total":734003200,"speed":5242880}
+ *
+ * Both only listen to client events (see client.js).
+ */
+
+import cliProgress from "cli-progress";
+import path from "path";
+import prettyBytes from "pretty-bytes";
+
+const SPEED_WINDOW_MS = 5000;
+const JSON_PROGRESS_MS = 1000;
+const IDLE_STOP_MS = 250;
+
+/* ---- 754 → "12m34s" ---- */
+function formatDuration(sec) {
+  if (!Number.isFinite(sec) || sec < 0) return "--";
+  const s = Math.round(sec);
+  if (s >= 3600) return `${Math.floor(s / 3600)}h${String(Math.floor(s / 60) % 60).padStart(2, "0")}m`;
+  if (s >= 60) return `${Math.floor(s / 60)}m${String(s % 60).padStart(2, "0")}s`;
+  return `${s}s`;
+}
+
+/* ---- bytes/s over the last few seconds from (time, bytes) samples ---- */
+function speedMeter() {
+  const samples = [];
+  return {
+    add(bytes, now = Date.now()) {
+      samples.push([now, bytes]);
+      while (samples.length > 2 && now - samples[0][0] > SPEED_WINDOW_MS) samples.shift();
+    },
+    rate() {
+      if (samples.length < 2) return 0;
+      const [t0, b0] = samples[0];
+      const [t1, b1] = samples[samples.length - 1];
+      return t1 > t0 ? ((b1 - b0) * 1000) / (t1 - t0) : 0;
+    }
+  };
+}
+
+const barFormat = cliProgress.Format.BarFormat;
+const fit = (s, w) => (s.length > w ? `${s.slice(0, w - 1)}…` : s.padEnd(w));
+
+/**
+ * Live multi-row view. It starts with the first job and stops once nothing is
+ * running; log lines go through `print()` so they stay above the bars.
+ * @param {import("events").EventEmitter} client
+ * @param {{ stream?: NodeJS.WriteStream }} [opts]
+ * @returns {{ print: (line: string) => void, expectJobs: (n: number) => void, stop: () => void }}
+ */
+export function createDashboard(client, { stream = process.stderr } = {}) {
+  let multibar = null;
+  let totalRow = null;
+  let idleTimer = null;
+
+  const jobs = new Map();   // id → { title, row, file, speed }
+  const files = new Map();  // path → { id, kind, downloaded, total, done }
+  let expectedJobs = 0;
+  let jobsStarted = 0;
+  let jobsDone = 0;
+  let transferred = 0;
+  const totalSpeed = speedMeter();
+
+  function start() {
+    clearTimeout(idleTimer);
+    if (multibar) return;
+    multibar = new cliProgress.MultiBar({
+      stream,
+      hideCursor: true,
+      clearOnComplete: false,
+      barsize: 20,
+      format: (options, params, payload) => payload.render(options, params)
+    }, cliProgress.Presets.shades_classic);
+    totalRow = multibar.create(1, 0, { render: renderTotal });
+  }
+
+  function stop() {
+    clearTimeout(idleTimer);
+    if (!multibar) return;
+    refreshTotal();
+    multibar.update(); // flush buffered log lines
+    multibar.stop();
+    multibar = null;
+    totalRow = null;
+    for (const job of jobs.values()) job.row = null;
+  }
+
+  function stopWhenIdle() {
+    const busy = jobs.size > 0 || [...files.values()].some(f => !f.done);
+    if (busy) return;
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(stop, IDLE_STOP_MS);
+  }
+
+  function renderJob(job) {
+    return (options, params) => {
+      const f = job.file && files.get(job.file);
+      const known = f?.total > 0;
+      const pct = known ? `${String(Math.floor((f.downloaded / f.total) * 100)).padStart(3)}%` : "  --";
+      const bytes = f ? `${prettyBytes(f.downloaded)}/${known ? prettyBytes(f.total) : "?"}` : "waiting";
+      const name = f ? path.basename(job.file) : "";
+      return `${fit(job.title, 28)} ${barFormat(known ? params.progress : 0, options)} ${pct} ${bytes.padEnd(20)} ${prettyBytes(job.speed.rate())}/s ${name}`;
+    };
+  }
+
+  /* ---- bytes still to come: known remainders, plus unseen videos at the average video size ---- */
+  function estimate() {
+    let done = 0;
+    let total = 0;
+    let unseenVideos = 0;
+    const videoSizes = [];
+    for (const f of files.values()) {
+      if (f.total > 0) {
+        done += Math.min(f.downloaded, f.total);
+        total += f.total;
+        if (f.kind === "video") videoSizes.push(f.total);
+      } else if (!f.done && f.kind === "video") {
+        unseenVideos++;
+      }
+    }
+    const avg = videoSizes.length ? videoSizes.reduce((a, b) => a + b, 0) / videoSizes.length : 0;
+    const queued = expectedJobs > jobsStarted ? expectedJobs - jobsStarted : 0;
+    return { done, total: total + avg * (unseenVideos + queued) };
+  }
+
+  function renderTotal(options) {
+    const planned = [...files.values()];
+    const filesDone = planned.filter(f => f.done).length;
+    const { done, total } = estimate();
+    const speed = totalSpeed.rate();
+    const eta = speed > 0 && total > done ? formatDuration((total - done) / speed) : "--";
+    const jobsOf = expectedJobs || jobsStarted;
+    const progress = total > 0 ? done / total : 0;
+    return `${fit(`Total (jobs ${jobsDone}/${jobsOf})`, 28)} ${barFormat(progress, options)} ${String(Math.floor(progress * 100)).padStart(3)}% ` +
+      `files ${filesDone}/${planned.length} | ${prettyBytes(transferred)} | ${prettyBytes(speed)}/s | ETA ${eta}`;
+  }
+
+  function refreshTotal() {
+    totalSpeed.add(transferred);
+    totalRow?.update(0, { render: renderTotal });
+  }
+
+  function rowFor(id) {
+    let job = jobs.get(id);
+    if (!job) {
+      job = { title: id, row: null, file: null, speed: speedMeter(), bytes: 0 };
+      jobs.set(id, job);
+    }
+    if (!job.row && multibar) job.row = multibar.create(1, 0, { render: renderJob(job) });
+    return job;
+  }
+
+  client.on("item-start", ({ id }) => {
+    jobsStarted++;
+    start();
+    rowFor(id);
+    refreshTotal();
+  });
+  client.on("plan", ({ id, title, files: planned }) => {
+    const job = jobs.get(id);
+    if (job) job.title = title;
+    for (const f of planned) if (!files.has(f.path)) files.set(f.path, { id, kind: f.kind, downloaded: 0, total: f.size || 0, done: false });
+  });
+  client.on("progress", ({ id, path: fp, downloaded, total }) => {
+    start();
+    const f = files.get(fp) || { id, kind: "video", downloaded: 0, total: 0, done: false };
+    files.set(fp, f);
+    // a restart (server ignored Range, ETag changed) goes back to 0
+    const delta = downloaded >= f.downloaded ? downloaded - f.downloaded : downloaded;
+    transferred += delta;
+    Object.assign(f, { downloaded, total: total || 0 });
+    const job = rowFor(id);
+    job.file = fp;
+    job.bytes += delta;
+    job.speed.add(job.bytes);
+    job.row?.update(f.total > 0 ? Math.min(1, downloaded / f.total) : 0, { render: renderJob(job) });
+    refreshTotal();
+  });
+  client.on("file-done", ({ path: fp }) => {
+    const f = files.get(fp);
+    if (f) f.done = true;
+    refreshTotal();
+    stopWhenIdle();
+  });
+  client.on("item-done", ({ id }) => {
+    jobsDone++;
+    const job = jobs.get(id);
+    if (job?.row) multibar?.remove(job.row);
+    jobs.delete(id);
+    for (const f of files.values()) if (f.id === id) f.done = true;
+    refreshTotal();
+    stopWhenIdle();
+  });
+
+  return {
+    print(line) {
+      if (multibar?.isActive) multibar.log(`${line}\n`);
+      else stream.write(`${line}\n`);
+    },
+    expectJobs(n) { expectedJobs += n; },
+    stop
+  };
+}
+
+/**
+ * NDJSON events on `write` (stdout by default). Progress is sent at most once a
+ * second per file, plus its last update.
+ * @param {import("events").EventEmitter} client
+ * @param {(line: string) => void} [write]
+ * @returns {(event: string, payload?: object) => void} send an extra event (e.g. a summary)
+ */
+export function attachJsonProgress(client, write = (line) => process.stdout.write(line)) {
+  const send = (event, payload = {}) => write(`${JSON.stringify({ event, time: new Date().toISOString(), ...payload })}\n`);
+  const lastSent = new Map(); // path → ms
+  const speeds = new Map();   // path → speedMeter
+
+  client.on("item-start", ({ id }) => send("job-start", { id }));
+  client.on("plan", (plan) => send("plan", plan));
+  client.on("progress", ({ id, path: fp, downloaded, total }) => {
+    const now = Date.now();
+    if (!speeds.has(fp)) speeds.set(fp, speedMeter());
+    speeds.get(fp).add(downloaded, now);
+    const finished = total > 0 && downloaded >= total;
+    if (!finished && now - (lastSent.get(fp) || 0) < JSON_PROGRESS_MS) return;
+    lastSent.set(fp, now);
+    send("progress", { id, path: fp, downloaded, total: total || null, speed: Math.round(speeds.get(fp).rate()) });
+  });
+  client.on("file-done", (f) => {
+    lastSent.delete(f.path);
+    speeds.delete(f.path);
+    send("file-done", f);
+  });
+  client.on("stage", (s) => send("stage", s));
+  client.on("verify", (r) => send("verify", r));
+  client.on("api", (s) => send("api", s));
+  client.on("error", ({ id, error }) => send("error", { id, error: error?.message || String(error) }));
+  client.on("item-done", (r) => send("done", r));
+  return send;
+}
@@ -0,0 +1,178 @@
+/**
+ * cin-dl : quality selection.
+ *
+ * A selector is a "/"-separated fallback chain; the first alternative that
+ * matches anything wins:
+ *
+ *   mp4-720              an entry name; alone, it falls back to best (the old
+ *                        DEFAULT_QUALITY behaviour)
+ *   720p                 a height
+ *   best | worst         highest / lowest height (then largest / smallest file)
+ *   best[height<=720]    any of the above narrowed by filters on
+ *                        height, size, ext or name (=, !=, <, <=, >, >=)
+ *
+ *   --quality "720p/480p/best"   --quality "best[height<=720][size<1.5G]"
+ */
+
+import { extFromUrl, parseSize } from "./helpers.js";
+import { isHlsUrl } from "./hls.js";
+
+/**
+ * @typedef {Object} QualityInfo
+ * @property {string} name
+ * @property {string} resolution
+ * @property {number|null} height
+ * @property {string} container     file extension without the dot, "m3u8" for HLS
+ * @property {number|null} size     bytes, when probed
+ * @property {string} videoUrl
+ * @property {object} entry         the raw transcoddedFiles entry
+ */
+
+const FILTER_RE = /^(height|size|ext|name)\s*(<=|>=|!=|<|>|=)\s*(.+)$/i;
+
+/* ---- "720p" | "1280x720" | a name like "mp4-720" → 720 ---- */
+function heightOf(q) {
+  const res = String(q?.resolution || "");
+  const m = res.match(/(\d{3,4})\s*p/i) || res.match(/x\s*(\d{3,4})/i) || String(q?.name || "").match(/(\d{3,4})/);
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * @param {object} q          transcoddedFiles entry
+ * @param {Map<string, number|null>} [sizes]  videoUrl → probed size
+ * @returns {QualityInfo}
+ */
+export function describeQuality(q, sizes) {
+  const url = String(q?.videoUrl || "");
+  return {
+    name: String(q?.name || ""),
+    resolution: String(q?.resolution || ""),
+    height: heightOf(q),
+    container: isHlsUrl(url) ? "m3u8" : extFromUrl(url, ".mp4").slice(1),
+    size: sizes?.get(url) ?? null,
+    videoUrl: url,
+    entry: q
+  };
+}
+
+/**
+ * "720p/best[height<=720]" → [{ base: "720p", filters: [] }, { base: "best", filters: [...] }]
+ * @param {string} expr
+ */
+export function parseQualitySelector(expr) {
+  const alts = String(expr || "best").split("/").map(s => s.trim()).filter(Boolean);
+  return alts.map((alt) => {
+    const m = alt.match(/^([^[]*)((?:\[[^\]]*\])*)$/);
+    if (!m) throw new Error(`Invalid quality selector "${alt}"`);
+    const filters = [...m[2].matchAll(/\[([^\]]*)\]/g)].map(([, f]) => {
+      const fm = f.trim().match(FILTER_RE);
+      if (!fm) throw new Error(`Invalid quality filter "[${f}]" (use height, size, ext or name with =, !=, <, <=, >, >=)`);
+      const key = fm[1].toLowerCase();
+      let value = fm[3].trim();
+      if (key === "height") value = Number(value.replace(/p$/i, ""));
+      else if (key === "size") value = parseSize(value);
+      if (Number.isNaN(value)) throw new Error(`Invalid quality filter "[${f}]"`);
+      return { key, op: fm[2], value };
+    });
+    return { base: m[1].trim() || "best", filters };
+  });
+}
+
+/** Whether picking with `selector` needs file sizes probed first. */
+export function needsSizes(selector, maxFilesize) {
+  return !!maxFilesize || parseQualitySelector(selector).some(a => a.filters.some(f => f.key === "size"));
+}
+
+function compare(actual, op, value) {
+  if (actual == null) return op === "!="; // unknown never satisfies a bound
+  switch (op) {
+    case "=": return actual === value;
+    case "!=": return actual !== value;
+    case "<": return actual < value;
+    case "<=": return actual <= value;
+    case ">": return actual > value;
+    case ">=": return actual >= value;
+  }
+  return false;
+}
+
+function matchesFilter(info, { key, op, value }) {
+  if (key === "ext") return compare(info.container.toLowerCase(), op, String(value).replace(/^\./, "").toLowerCase());
+  if (key === "name") return compare(info.name.toLowerCase(), op, String(value).toLowerCase());
+  return compare(info[key], op, value);
+}
+
+const byQuality = (a, b) => ((a.height ?? -1) - (b.height ?? -1)) || ((a.size ?? 0) - (b.size ?? 0));
+
+/**
+ * Pick the entry `selector` asks for. Entries larger than `maxFilesize` are never
+ * picked; ones whose size couldn't be probed are.
+ * @param {object[]} qualities   transcoddedFiles entries
+ * @param {string} selector
+ * @param {{ maxFilesize?: number|null, sizes?: Map<string, number|null> }} [opts]
+ * @returns {object|null} the raw entry
+ */
+export function pickQuality(qualities, selector, { maxFilesize = null, sizes } = {}) {
+  if (!Array.isArray(qualities) || qualities.length === 0) return null;
+  const infos = qualities
+    .filter(q => q?.videoUrl)
+    .map(q => describeQuality(q, sizes))
+    .filter(i => !maxFilesize || i.size == null || i.size <= maxFilesize);
+
+  const alts = parseQualitySelector(selector);
+  // a bare entry name is what .env files have always held; it still means "this one, else the best"
+  const [only] = alts;
+  if (alts.length === 1 && only.filters.length === 0 && !/^(\d{3,4}p?|best|worst)$/i.test(only.base)) {
+    alts.push({ base: "best", filters: [] });
+  }
+  for (const alt of alts) {
+    const base = alt.base.toLowerCase();
+    let pool = infos.filter(i => alt.filters.every(f => matchesFilter(i, f)));
+    if (/^\d{3,4}p?$/.test(base)) pool = pool.filter(i => i.height === Number(base.replace("p", "")));
+    else if (base !== "best" && base !== "worst") pool = pool.filter(i => i.name.toLowerCase() === base);
+    if (pool.length === 0) continue;
+    pool.sort(byQuality);
+    return (base === "worst" ? pool[0] : pool[pool.length - 1]).entry;
+  }
+  return null;
+}
+
+/**
+ * Probe the size of every progressive entry (HLS sizes stay unknown).
+ * @param {{ probe: (url: string, signal?: AbortSignal) => Promise<{ total: number|null }> }} downloader
+ * @param {object[]} qualities
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Map<string, number|null>>}
+ */
+export async function probeQualitySizes(downloader, qualities, signal) {
+  const sizes = new Map();
+  await Promise.all((qualities || []).map(async (q) => {
+    const url = q?.videoUrl;
+    if (!url || isHlsUrl(url)) return;
+    try { sizes.set(url, (await downloader.probe(url, signal)).total); } catch { sizes.set(url, null); }
+  }));
+  return sizes;
+}
+
+/**
+ * The HLS variant for `selector`. Variants have no names, so name tokens are
+ * read as heights ("mp4-720" → 720p). If nothing matches: the best variant at
+ * or below the first height mentioned, else the smallest; no height → best.
+ * @param {import("./hls.js").HlsVariant[]} variants
+ * @param {string} selector
+ * @returns {import("./hls.js").HlsVariant}
+ */
+export function pickVariant(variants, selector) {
+  const entries = variants.map(v => ({ name: v.name || "", resolution: v.height ? `${v.height}p` : "", videoUrl: v.uri, variant: v }));
+  const byHeight = String(selector || "").split("/").map(alt => alt.replace(/^[^[]*?(\d{3,4})[^[]*/, "$1p")).join("/");
+  try {
+    const hit = pickQuality(entries, byHeight);
+    if (hit) return hit.variant;
+  } catch {}
+
+  const sorted = [...variants].sort((a, b) => ((a.height || 0) - (b.height || 0)) || (a.bandwidth - b.bandwidth));
+  const want = Number(String(selector || "").match(/(\d{3,4})/)?.[1]) || null;
+  if (!want) return sorted[sorted.length - 1];
+  const below = sorted.filter(v => v.height && v.height <= want);
+  return below.length ? below[below.length - 1] : sorted[0];
+}
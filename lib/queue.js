@@ -0,0 +1,242 @@
+/**
+ * cin-dl : persistent download queue (used by `serve`).
+ *
+ * Jobs live in `<output>/.cin-dl-queue.json` and run one at a time, highest
+ * priority first, then oldest. A job remembers the outcome of every id it
+ * expanded to, so one interrupted by a restart carries on where it stopped.
+ */
+
+import { EventEmitter } from "events";
+import fs from "fs";
+import path from "path";
+import { parseSize, uniqStrings, writeJsonAtomic } from "./helpers.js";
+import { silentLogger } from "./log.js";
+import { parseQualitySelector } from "./quality.js";
+import { parseFpsRatio } from "./subtitles.js";
+import { checkTemplate } from "./template.js";
+
+export const QUEUE_FILE = ".cin-dl-queue.json";
+export const JOB_TYPES = ["movie", "series", "from-video"];
+
+// settings a job may override; the output folder stays the server's
+const JOB_OPTIONS = [
+  "quality", "maxFilesize", "concurrency", "connections", "skipExisting", "verify", "overwrite", "muxSubs", "defaultSub",
+  "muxReplace", "burnSubs", "burnLang", "structure", "nameTemplate", "dirTemplate", "subs", "subsFormat", "subsRaw", "subsEncoding",
+  "subsBom", "subsOffset", "subsFps", "metadata"
+];
+const ACTIVE_STATES = new Set(["discovering", "running"]);
+
+/**
+ * @typedef {Object} Job
+ * @property {string} id
+ * @property {"movie"|"series"|"from-video"} type
+ * @property {string[]} targets     the ids given: movies, root series or episodes
+ * @property {string[]} seasons     empty = all
+ * @property {number} priority      higher runs first
+ * @property {object} options       Partial<DownloadSettings>
+ * @property {"queued"|"discovering"|"running"|"done"|"failed"|"cancelled"} state
+ * @property {string} createdAt
+ * @property {string|null} startedAt
+ * @property {string|null} finishedAt
+ * @property {string|null} error
+ * @property {Record<string, { status: string, error?: string|null, file?: string|null }>} items  "pending" until processed
+ */
+
+/* ---- request body → validated job fields; throws with a message fit for a 400 ---- */
+export function validateJobRequest(body) {
+  const type = body?.type;
+  if (!JOB_TYPES.includes(type)) throw new Error(`"type" must be one of ${JOB_TYPES.join(", ")}`);
+  const raw = body.ids ?? body.id;
+  const targets = uniqStrings((Array.isArray(raw) ? raw : [raw]).filter(v => v != null && /^\d+$/.test(String(v).trim())).map(v => String(v).trim()));
+  if (targets.length === 0) throw new Error('"ids" must hold at least one numeric id');
+  const seasons = (Array.isArray(body.seasons) ? body.seasons : body.seasons != null ? [body.seasons] : []).map(String);
+  const priority = Number(body.priority ?? 0);
+  if (!Number.isFinite(priority)) throw new Error('"priority" must be a number');
+
+  const options = {};
+  for (const [k, v] of Object.entries(body.options || {})) {
+    if (!JOB_OPTIONS.includes(k)) throw new Error(`unknown or disallowed option "${k}"`);
+    options[k] = v;
+  }
+  if (Array.isArray(options.subs)) options.subs = options.subs.join(","); // ["ar","en"] or "ar,en"
+  if (options.quality != null) parseQualitySelector(options.quality);
+  if (typeof options.maxFilesize === "string") options.maxFilesize = parseSize(options.maxFilesize);
+  if (options.subsFps != null) parseFpsRatio(options.subsFps);
+  if (options.nameTemplate != null) checkTemplate(options.nameTemplate, "name");
+  if (options.dirTemplate != null) checkTemplate(options.dirTemplate, "dir");
+  return { type, targets, seasons, priority, options };
+}
+
+/**
+ * @param {ReturnType<typeof import("./client.js").createClient>} client
+ * @param {{ output: string, log?: import("./log.js").Logger }} opts
+ */
+export function createQueue(client, { output, log = silentLogger }) {
+  const file = path.join(output, QUEUE_FILE);
+  const events = new EventEmitter();
+  /** @type {{ nextId: number, jobs: Job[] }} */
+  let store = { nextId: 1, jobs: [] };
+  try { store = JSON.parse(fs.readFileSync(file, "utf8")); } catch {}
+  // jobs cut off by a restart go back in line; their finished items are kept
+  for (const job of store.jobs) if (ACTIVE_STATES.has(job.state)) job.state = "queued";
+
+  let current = null;      // the running Job
+  let controller = null;   // aborts the running job
+  let stopping = false;
+
+  const save = () => {
+    try { writeJsonAtomic(file, store); } catch (e) { log.warn(`Failed to write queue: ${e.message}`); }
+  };
+  const changed = (type, job) => {
+    save();
+    events.emit("job", { type, job });
+  };
+  const find = (id) => store.jobs.find(j => j.id === String(id)) || null;
+
+  /** @returns {Job[]} queued jobs in run order, then the rest newest first */
+  function list() {
+    const queued = store.jobs.filter(j => j.state === "queued")
+      .sort((a, b) => (b.priority - a.priority) || (Number(a.id) - Number(b.id)));
+    const others = store.jobs.filter(j => j.state !== "queued").sort((a, b) => Number(b.id) - Number(a.id));
+    return [...others.filter(j => ACTIVE_STATES.has(j.state)), ...queued, ...others.filter(j => !ACTIVE_STATES.has(j.state))];
+  }
+
+  function add(request) {
+    const fields = validateJobRequest(request);
+    const job = {
+      id: String(store.nextId++),
+      ...fields,
+      state: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      items: {}
+    };
+    store.jobs.push(job);
+    changed("job-added", job);
+    log.info(`Queued job ${job.id}: ${job.type} ${job.targets.join(",")}`);
+    pump();
+    return job;
+  }
+
+  function cancel(id) {
+    const job = find(id);
+    if (!job) return null;
+    if (job.state === "queued") {
+      job.state = "cancelled";
+      job.finishedAt = new Date().toISOString();
+      changed("job-updated", job);
+    } else if (job === current) {
+      controller?.abort(); // runJob records the cancellation
+    }
+    return job;
+  }
+
+  function setPriority(id, priority) {
+    const job = find(id);
+    if (!job) return null;
+    if (!Number.isFinite(Number(priority))) throw new Error('"priority" must be a number');
+    job.priority = Number(priority);
+    changed("job-updated", job);
+    return job;
+  }
+
+  /* ---- finished jobs only; returns false for active ones ---- */
+  function remove(id) {
+    const job = find(id);
+    if (!job) return null;
+    if (job.state === "queued" || ACTIVE_STATES.has(job.state)) return false;
+    store.jobs = store.jobs.filter(j => j !== job);
+    changed("job-removed", job);
+    return true;
+  }
+
+  async function discover(job) {
+    const seasons = job.seasons.length ? job.seasons : null;
+    if (job.type === "series") return client.discoverSeries(job.targets, seasons);
+    if (job.type === "from-video") return client.discoverFromEpisodes(job.targets, seasons);
+    return job.targets;
+  }
+
+  async function runJob(job, signal) {
+    job.state = "discovering";
+    job.startedAt = job.startedAt || new Date().toISOString();
+    changed("job-updated", job);
+    if (Object.keys(job.items).length === 0) {
+      const ids = await discover(job);
+      job.items = Object.fromEntries(ids.map(i => [i, { status: "pending" }]));
+    }
+    const pending = Object.keys(job.items).filter(i => ["pending", "cancelled"].includes(job.items[i].status));
+    job.state = "running";
+    changed("job-updated", job);
+    log.info(`Job ${job.id}: ${pending.length} of ${Object.keys(job.items).length} item(s) to do.`);
+
+    const onDone = (r) => {
+      if (!job.items[r.id]) return;
+      job.items[r.id] = { status: r.status, error: r.error ?? null, file: r.file ?? null };
+      changed("job-updated", job);
+    };
+    client.on("item-done", onDone);
+    try {
+      await client.download(pending, { ...job.options, signal });
+    } finally {
+      client.off("item-done", onDone);
+    }
+  }
+
+  async function pump() {
+    if (current || stopping) return;
+    const next = list().find(j => j.state === "queued");
+    if (!next) return;
+    current = next;
+    controller = new AbortController();
+    try {
+      await runJob(next, controller.signal);
+      if (controller.signal.aborted) next.state = stopping ? "queued" : "cancelled";
+      else next.state = Object.values(next.items).some(it => it.status === "error") ? "failed" : "done";
+    } catch (e) {
+      if (controller.signal.aborted) next.state = stopping ? "queued" : "cancelled";
+      else {
+        next.state = "failed";
+        next.error = e.message;
+        log.error(`Job ${next.id} failed: ${e.message}`);
+      }
+    }
+    if (next.state !== "queued") next.finishedAt = new Date().toISOString();
+    log.info(`Job ${next.id}: ${next.state}`);
+    current = null;
+    controller = null;
+    changed("job-updated", next);
+    pump();
+  }
+
+  return {
+    events,
+    list,
+    get: find,
+    add,
+    cancel,
+    setPriority,
+    remove,
+    /** @returns {Job|null} */
+    get current() { return current; },
+    start() {
+      stopping = false;
+      pump();
+    },
+    /* ---- abort the running job (it is re-queued) and wait for it to settle ---- */
+    async stop() {
+      stopping = true;
+      if (!current) return;
+      const job = current;
+      await new Promise((resolve) => {
+        const done = ({ job: j }) => {
+          if (j === job && !ACTIVE_STATES.has(j.state)) { events.off("job", done); resolve(); }
+        };
+        events.on("job", done);
+        controller?.abort();
+      });
+    }
+  };
+}
@@ -0,0 +1,145 @@
+/**
+ * cin-dl : stand-in Cinemana server for `--replay <dir>`.
+ *
+ * Answers API requests from the fixtures `--record` saved (see fixtures.js)
+ * and rewrites every media URL in them to itself, so a whole run (discovery,
+ * downloads, subtitles, NFO artwork) works without network:
+ *   /m/<key>/<file>   a recorded file (subtitles) if there is one, otherwise
+ *                     made-up content: deterministic bytes for videos, a short
+ *                     playlist for .m3u8, a one-line subtitle, a 1×1 image.
+ * Range requests and ETags work as on the real CDN, so resume and verification
+ * can be tested too.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { mediaFileName, mediaKey, readFixture } from "./fixtures.js";
+import { silentLogger } from "./log.js";
+
+const HLS_SEGMENTS = 3;
+const PLACEHOLDER_JPEG = Buffer.from(
+  "/9j/4AAQSkZJRgABAQEASABIAAD/2wBDAP//////////////////////////////////////////////////////////////////////////////////////wgALCAABAAEBAREA/8QAFBABAAAAAAAAAAAAAAAAAAAAAP/aAAgBAQABPxA=",
+  "base64"
+);
+const CONTENT_TYPES = {
+  ".mp4": "video/mp4", ".mkv": "video/x-matroska", ".ts": "video/mp2t", ".m3u8": "application/vnd.apple.mpegurl",
+  ".srt": "application/x-subrip", ".vtt": "text/vtt", ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png",
+  ".webp": "image/webp"
+};
+
+/* ---- `size` bytes that are the same on every run for the same key ---- */
+function syntheticBytes(key, size) {
+  const out = Buffer.alloc(size);
+  let block = crypto.createHash("sha256").update(key).digest();
+  for (let i = 0; i < size; i += block.length) {
+    block.copy(out, i);
+    block = crypto.createHash("sha256").update(block).digest();
+  }
+  return out;
+}
+
+function syntheticFile(key, name, mediaSize) {
+  const ext = path.extname(name).toLowerCase();
+  if (ext === ".m3u8") {
+    const lines = ["#EXTM3U", "#EXT-X-VERSION:3", "#EXT-X-TARGETDURATION:10", "#EXT-X-MEDIA-SEQUENCE:0"];
+    for (let i = 0; i < HLS_SEGMENTS; i++) lines.push("#EXTINF:10.0,", `seg${i}.ts`);
+    return Buffer.from(`${lines.join("\n")}\n#EXT-X-ENDLIST\n`);
+  }
+  if (ext === ".srt") return Buffer.from("1\n00:00:01,000 --> 00:00:03,000\n(replay)\n");
+  if (ext === ".vtt") return Buffer.from("WEBVTT\n\n00:00:01.000 --> 00:00:03.000\n(replay)\n");
+  if ([".jpg", ".jpeg", ".png", ".webp"].includes(ext)) return PLACEHOLDER_JPEG;
+  if (ext === ".ts") return syntheticBytes(`${key}/${name}`, Math.max(188, Math.floor(mediaSize / HLS_SEGMENTS)));
+  return syntheticBytes(`${key}/${name}`, mediaSize);
+}
+
+function sendBody(req, res, body, name) {
+  const etag = `"${crypto.createHash("sha1").update(body).digest("hex").slice(0, 16)}"`;
+  const headers = {
+    "content-type": CONTENT_TYPES[path.extname(name).toLowerCase()] || "application/octet-stream",
+    "accept-ranges": "bytes",
+    etag
+  };
+  let status = 200;
+  let slice = body;
+  const m = String(req.headers.range || "").match(/^bytes=(\d*)-(\d*)$/);
+  if (m && (m[1] || m[2])) {
+    const start = m[1] ? Number(m[1]) : Math.max(0, body.length - Number(m[2]));
+    const end = m[1] && m[2] ? Math.min(Number(m[2]), body.length - 1) : body.length - 1;
+    if (start >= body.length || start > end) {
+      res.writeHead(416, { "content-range": `bytes */${body.length}` });
+      return res.end();
+    }
+    status = 206;
+    slice = body.subarray(start, end + 1);
+    headers["content-range"] = `bytes ${start}-${end}/${body.length}`;
+  }
+  headers["content-length"] = slice.length;
+  res.writeHead(status, headers);
+  res.end(req.method === "HEAD" ? undefined : slice);
+}
+
+/**
+ * @param {string} dir  fixtures from --record
+ * @param {{ port?: number, host?: string, mediaSize?: number, log?: import("./log.js").Logger }} [opts]
+ *   port 0 = any free one; mediaSize = bytes of each made-up video
+ * @returns {Promise<{ baseUrl: string, close: () => Promise<void> }>}
+ */
+export async function startReplayServer(dir, { port = 0, host = "127.0.0.1", mediaSize = 1024 * 1024, log = silentLogger } = {}) {
+  if (!fs.existsSync(path.join(dir, "api"))) throw new Error(`No fixtures in ${dir} (record some with --record ${dir})`);
+  let origin = "";
+
+  /* ---- every absolute URL in an answer → this server ---- */
+  function rewrite(value) {
+    if (typeof value === "string") {
+      return /^https?:\/\//i.test(value) ? `${origin}/m/${mediaKey(value)}/${encodeURIComponent(mediaFileName(value))}` : value;
+    }
+    if (Array.isArray(value)) return value.map(rewrite);
+    if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, rewrite(v)]));
+    return value;
+  }
+
+  const server = http.createServer((req, res) => {
+    try {
+      const url = new URL(req.url, origin);
+      const media = url.pathname.match(/^\/m\/([0-9a-f]+)\/([^/]+)$/);
+      if (media) {
+        const [, key, rawName] = media;
+        const name = decodeURIComponent(rawName);
+        const fp = path.join(dir, "media", key, path.basename(name));
+        const body = fs.existsSync(fp) ? fs.readFileSync(fp) : syntheticFile(key, name, mediaSize);
+        return sendBody(req, res, body, name);
+      }
+      const fixture = readFixture(dir, `${url.pathname}${url.search}`);
+      if (!fixture) {
+        log.warn(`Replay: no fixture for ${url.pathname}${url.search}`);
+        res.writeHead(404, { "content-type": "application/json" });
+        return res.end(JSON.stringify({ error: "no fixture" }));
+      }
+      if (fixture.status >= 400) {
+        res.writeHead(fixture.status, { "content-type": "text/plain" });
+        return res.end(fixture.error || "");
+      }
+      res.writeHead(fixture.status || 200, { "content-type": "application/json; charset=utf-8" });
+      res.end(JSON.stringify(rewrite(fixture.data)));
+    } catch (e) {
+      if (!res.headersSent) res.writeHead(500);
+      res.end(String(e.message));
+    }
+  });
+  // never what keeps the process alive
+  server.on("connection", (socket) => socket.unref());
+  server.unref();
+
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, host, resolve);
+  });
+  origin = `http://${host}:${server.address().port}`;
+  log.info(`Replaying fixtures from ${dir} on ${origin}`);
+  return {
+    baseUrl: origin,
+    close: () => new Promise((resolve) => server.close(() => resolve()))
+  };
+}
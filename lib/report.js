@@ -0,0 +1,105 @@
+/**
+ * cin-dl : run reports (`--report <file>`).
+ *
+ * One row per id with what was picked, what ended up on disk and why anything
+ * failed; written as JSON (with run totals) or CSV, chosen by extension unless
+ * a format is given.
+ */
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * @typedef {Object} ReportRow
+ * @property {string} id
+ * @property {string} status
+ * @property {string|null} title
+ * @property {string|null} season
+ * @property {string|null} episode
+ * @property {string|null} quality
+ * @property {string|null} file
+ * @property {number|null} bytes        on disk
+ * @property {number|null} downloaded   transferred this run
+ * @property {number|null} durationSec
+ * @property {number|null} avgSpeed     bytes/s over the item's duration
+ * @property {string[]} subtitles
+ * @property {string|null} mux
+ * @property {string|null} burn
+ * @property {string|null} error
+ * @property {string[]} warnings
+ */
+
+export const REPORT_COLUMNS = [
+  "id", "status", "title", "season", "episode", "quality", "file", "bytes", "downloaded", "durationSec", "avgSpeed",
+  "subtitles", "mux", "burn", "error", "warnings"
+];
+
+/**
+ * @param {import("./pipeline.js").ItemResult} r
+ * @returns {ReportRow}
+ */
+export function reportRow(r) {
+  const sec = r.durationMs != null ? Math.round(r.durationMs / 100) / 10 : null;
+  return {
+    id: r.id,
+    status: r.status,
+    title: r.title ?? null,
+    season: r.season ?? null,
+    episode: r.episode ?? null,
+    quality: r.quality ?? null,
+    file: r.file ?? null,
+    bytes: r.bytes ?? null,
+    downloaded: r.downloaded ?? null,
+    durationSec: sec,
+    avgSpeed: r.downloaded != null && r.durationMs > 0 ? Math.round((r.downloaded * 1000) / r.durationMs) : null,
+    subtitles: r.subtitles || [],
+    mux: r.mux ?? null,
+    burn: r.burn ?? null,
+    error: r.error ?? null,
+    warnings: r.warnings || []
+  };
+}
+
+function csvCell(v) {
+  const s = Array.isArray(v) ? v.join(" | ") : v == null ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** @returns {"json"|"csv"} */
+export function reportFormat(file, format = null) {
+  if (format) return format;
+  return path.extname(file).toLowerCase() === ".csv" ? "csv" : "json";
+}
+
+/**
+ * @param {import("./pipeline.js").ItemResult[]} results
+ * @param {"json"|"csv"} format
+ * @param {{ startedAt?: Date, exitCode?: number, summary?: object }} [run]  JSON only
+ * @returns {string}
+ */
+export function formatReport(results, format, { startedAt = null, exitCode = null, summary = null } = {}) {
+  const rows = results.map(reportRow);
+  if (format === "csv") {
+    return [REPORT_COLUMNS.join(","), ...rows.map(row => REPORT_COLUMNS.map(c => csvCell(row[c])).join(","))].join("\r\n") + "\r\n";
+  }
+  return JSON.stringify({
+    startedAt: startedAt?.toISOString() ?? null,
+    finishedAt: new Date().toISOString(),
+    exitCode,
+    summary,
+    items: rows
+  }, null, 2);
+}
+
+/**
+ * Write the report via a temp file, so a scheduler never reads half of one.
+ * @param {string} file
+ * @param {import("./pipeline.js").ItemResult[]} results
+ * @param {{ format?: "json"|"csv"|null, startedAt?: Date, exitCode?: number, summary?: object }} [opts]
+ */
+export function writeReport(file, results, { format = null, ...run } = {}) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, formatReport(results, reportFormat(file, format), run));
+  fs.renameSync(tmp, file);
+}
@@ -0,0 +1,183 @@
+/**
+ * cin-dl : API request scheduler.
+ *
+ * Every Cinemana API call (not media downloads) passes through one scheduler,
+ * so `--concurrency` no longer decides how hard the API is hit:
+ *   - at most `rate` requests start per second and `concurrency` are in flight;
+ *   - 429 (and 503 with Retry-After) pauses every request until the server's
+ *     Retry-After, then retries;
+ *   - 5xx, timeouts and network errors are retried with backoff; other 4xx
+ *     (404 for a wrong id) fail at once;
+ *   - after `breakerThreshold` such failures in a row the breaker opens: API
+ *     requests wait `breakerCooldown`, then one trial request decides whether
+ *     they resume or wait twice as long (up to BREAKER_MAX_MS).
+ */
+
+import pLimit from "p-limit";
+import pRetry, { AbortError } from "p-retry";
+import { silentLogger } from "./log.js";
+
+const BREAKER_MAX_MS = 5 * 60 * 1000;
+const RATE_LIMIT_PAUSE_MS = 10000; // a 429 without Retry-After
+
+/**
+ * @typedef {"fatal"|"retryable"|"rate-limited"} ApiErrorClass
+ * @typedef {"closed"|"open"|"half-open"} BreakerState
+ */
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+/**
+ * How to treat a failed API request.
+ * @param {Error & { status?: number|null, code?: string, retryAfterMs?: number|null }} e  as thrown by http.js
+ * @returns {ApiErrorClass}
+ */
+export function classifyApiError(e) {
+  const status = e?.status;
+  if (status === 429 || (status === 503 && e.retryAfterMs != null)) return "rate-limited";
+  if (status) return status >= 500 || status === 408 ? "retryable" : "fatal";
+  if (e?.code === "ERR_CANCELED") return "fatal";
+  // no response at all: timeouts, resets, DNS, refused connections
+  return /^(E[A-Z]+|ERR_[A-Z_]+)$/.test(String(e?.code || "")) ? "retryable" : "fatal";
+}
+
+/**
+ * @param {{
+ *   rate?: number,              requests started per second; 0 = no limit
+ *   concurrency?: number,       requests in flight
+ *   retries?: number,           per request, after the first attempt
+ *   breakerThreshold?: number,  retryable failures in a row that open the breaker
+ *   breakerCooldown?: number,   ms before the first trial request
+ *   log?: import("./log.js").Logger,
+ *   onState?: (s: { state: BreakerState|"rate-limited", retryAt?: string }) => void
+ * }} [opts]
+ */
+export function createApiScheduler({
+  rate = 5,
+  concurrency = 4,
+  retries = 4,
+  breakerThreshold = 8,
+  breakerCooldown = 30000,
+  log = silentLogger,
+  onState = () => {}
+} = {}) {
+  const limit = pLimit(Math.max(1, Number(concurrency) || 1));
+  const interval = rate > 0 ? 1000 / rate : 0;
+  let nextStart = 0;    // earliest start of the next request
+  let pausedUntil = 0;  // Retry-After or open breaker
+  let failures = 0;     // retryable failures in a row
+  /** @type {BreakerState} */
+  let breaker = "closed";
+  let cooldown = breakerCooldown;
+  let trial = null;     // { promise, resolve } while the half-open trial request runs
+
+  function setBreaker(state) {
+    if (state === breaker) return;
+    breaker = state;
+    if (state === "half-open") {
+      let resolve;
+      trial = { promise: new Promise(r => { resolve = r; }), resolve };
+    } else if (trial) {
+      trial.resolve();
+      trial = null;
+    }
+    onState(state === "open" ? { state, retryAt: new Date(pausedUntil).toISOString() } : { state });
+  }
+
+  /* ---- wait for a pause, the breaker and the rate limit; true if this request is the breaker's trial ---- */
+  async function waitTurn() {
+    for (;;) {
+      const now = Date.now();
+      if (pausedUntil > now) {
+        await sleep(pausedUntil - now);
+        continue;
+      }
+      if (breaker === "open") {
+        log.info("Trying the API again...");
+        setBreaker("half-open");
+        return true;
+      }
+      if (breaker === "half-open") {
+        await trial.promise;
+        continue;
+      }
+      const start = Math.max(now, nextStart);
+      nextStart = start + interval;
+      if (start <= now) return false;
+      await sleep(start - now);
+      if (pausedUntil <= Date.now() && breaker === "closed") return false;
+    }
+  }
+
+  function succeeded() {
+    failures = 0;
+    if (breaker !== "closed") {
+      log.info("API is reachable again; resuming requests.");
+      cooldown = breakerCooldown;
+      setBreaker("closed");
+    }
+  }
+
+  function failed(e, isTrial, label) {
+    const kind = classifyApiError(e);
+    e.apiClass = kind;
+    if (kind === "fatal") {
+      // the server answered, so it is up
+      if (isTrial) succeeded();
+      return new AbortError(e);
+    }
+    if (kind === "rate-limited") {
+      const wait = e.retryAfterMs ?? RATE_LIMIT_PAUSE_MS;
+      if (Date.now() + wait > pausedUntil) {
+        pausedUntil = Date.now() + wait;
+        log.warn(`API rate limit hit (${label}); pausing API requests for ${Math.ceil(wait / 1000)}s.`);
+        onState({ state: "rate-limited", retryAt: new Date(pausedUntil).toISOString() });
+      }
+      if (isTrial) setBreaker("closed");
+      return e;
+    }
+    failures++;
+    if (isTrial || (breaker === "closed" && failures >= breakerThreshold)) {
+      if (isTrial) cooldown = Math.min(cooldown * 2, BREAKER_MAX_MS);
+      pausedUntil = Math.max(pausedUntil, Date.now() + cooldown);
+      log.warn(`API looks down (${failures} failures in a row, last: ${e.message}); pausing API requests for ${Math.ceil(cooldown / 1000)}s.`);
+      setBreaker("open");
+    }
+    return e;
+  }
+
+  return {
+    /**
+     * Run one API request under the limits, with retries.
+     * @template T
+     * @param {() => Promise<T>} fn
+     * @param {{ label?: string }} [opts]
+     * @returns {Promise<T>} rejects with the last error; `error.apiClass` tells why
+     */
+    run(fn, { label = "API request" } = {}) {
+      return pRetry(() => limit(async () => {
+        const isTrial = await waitTurn();
+        try {
+          const res = await fn();
+          succeeded();
+          return res;
+        } catch (e) {
+          throw failed(e, isTrial, label);
+        }
+      }), {
+        retries: Math.max(0, retries),
+        factor: 2,
+        minTimeout: 500,
+        maxTimeout: 8000,
+        onFailedAttempt: (e) => {
+          if (e.retriesLeft > 0) log.debug(`Retry ${e.attemptNumber}/${e.retriesLeft + e.attemptNumber} for ${label}: ${e.message}`);
+        }
+      });
+    },
+
+    /** @returns {{ breaker: BreakerState, pausedUntil: string|null, failures: number }} */
+    state() {
+      return { breaker, pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null, failures };
+    }
+  };
+}
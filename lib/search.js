@@ -0,0 +1,44 @@
+/**
+ * cin-dl : title search.
+ */
+
+import pLimit from "p-limit";
+
+/**
+ * @typedef {Object} SearchItem
+ * @property {string} id
+ * @property {"movie"|"series"} kind
+ * @property {string} en_title
+ * @property {string} ar_title
+ * @property {string|null} year
+ * @property {number|null} seasons
+ */
+
+/** @returns {SearchItem} */
+export function normalizeSearchItem(it) {
+  return {
+    id: String(it?.nb ?? it?.id ?? "").trim(),
+    kind: String(it?.kind || "") === "2" ? "series" : "movie",
+    en_title: it?.en_title?.trim() || "",
+    ar_title: it?.ar_title?.trim() || "",
+    year: it?.year || null,
+    seasons: Number(it?.seasons ?? it?.seasonsCount) || null
+  };
+}
+
+/** @returns {Promise<SearchItem[]>} */
+export async function searchTitles(api, log, query) {
+  const items = (await api.getSearchResults(query)).map(normalizeSearchItem).filter(it => it.id);
+  // season counts aren't part of the search payload; ask videoSeason for series hits
+  const limit = pLimit(4);
+  await Promise.all(items.filter(it => it.kind === "series" && !it.seasons).map(it => limit(async () => {
+    try {
+      const eps = (await api.getVideoSeason(it.id)).filter(ep => String(ep?.kind || "") === "2");
+      const seasons = new Set(eps.map(ep => String(ep?.season ?? "")).filter(Boolean));
+      it.seasons = seasons.size || null;
+    } catch (e) {
+      log.debug(`videoSeason failed for ${it.id}: ${e.message}`);
+    }
+  })));
+  return items;
+}
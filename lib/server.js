@@ -0,0 +1,139 @@
+/**
+ * cin-dl : HTTP API for the download queue (`serve`).
+ *
+ *   GET    /api/jobs              queue in run order, plus the API scheduler state (breaker, pause)
+ *   POST   /api/jobs              { type: "movie"|"series"|"from-video", ids, seasons?, priority?, options? }
+ *   GET    /api/jobs/:id
+ *   PATCH  /api/jobs/:id          { priority }
+ *   POST   /api/jobs/:id/cancel   stop a queued or running job (partial files are kept)
+ *   DELETE /api/jobs/:id          forget a finished job
+ *   GET    /api/events            Server-Sent Events: job changes plus the --progress json events
+ *
+ * With a token, every request needs `Authorization: Bearer <token>`; only
+ * /api/events also takes `?token=`, for EventSource, which can't send headers
+ * (anywhere else it would end up in proxy and access logs for nothing).
+ */
+
+import crypto from "crypto";
+import http from "http";
+import { silentLogger } from "./log.js";
+import { attachJsonProgress } from "./progress.js";
+
+const MAX_BODY = 64 * 1024;
+const SSE_KEEPALIVE_MS = 25000;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (c) => {
+      size += c.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error("request body too large"), { status: 413 }));
+        req.destroy();
+      } else {
+        chunks.push(c);
+      }
+    });
+    req.on("end", () => {
+      if (size === 0) return resolve({});
+      try { resolve(JSON.parse(Buffer.concat(chunks).toString("utf8"))); } catch { reject(Object.assign(new Error("body is not valid JSON"), { status: 400 })); }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * @param {ReturnType<typeof import("./client.js").createClient>} client
+ * @param {ReturnType<typeof import("./queue.js").createQueue>} queue
+ * @param {{ token?: string|null, log?: import("./log.js").Logger }} [opts]
+ * @returns {import("http").Server}
+ */
+export function createApiServer(client, queue, { token = null, log = silentLogger } = {}) {
+  const streams = new Set();
+  const broadcast = (line) => {
+    for (const res of streams) res.write(`data: ${line}\n\n`);
+  };
+  // download events carry the running job's id
+  const send = attachJsonProgress(client, (line) => {
+    const event = JSON.parse(line);
+    if (queue.current && !event.job) event.jobId = queue.current.id;
+    broadcast(JSON.stringify(event));
+  });
+  queue.events.on("job", ({ type, job }) => send(type, { job }));
+
+  // compared as digests: same length whatever was sent, and in constant time
+  const digest = (s) => crypto.createHash("sha256").update(String(s)).digest();
+  const expected = token ? digest(token) : null;
+  const matches = (candidate) => candidate != null && crypto.timingSafeEqual(digest(candidate), expected);
+  const authorized = (req, url) => {
+    if (!token) return true;
+    const bearer = String(req.headers.authorization ?? "").match(/^Bearer (.+)$/)?.[1];
+    if (matches(bearer)) return true;
+    const isEvents = req.method === "GET" && url.pathname.replace(/\/+$/, "") === "/api/events";
+    return isEvents && matches(url.searchParams.get("token"));
+  };
+
+  async function route(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    if (!authorized(req, url)) return sendJson(res, 401, { error: "unauthorized" });
+    const parts = url.pathname.replace(/\/+$/, "").split("/").filter(Boolean); // ["api", "jobs", ":id", "cancel"]
+    if (parts[0] !== "api") return sendJson(res, 404, { error: "not found" });
+    const [, resource, jobId, action] = parts;
+
+    if (resource === "events" && req.method === "GET") {
+      res.writeHead(200, { "content-type": "text/event-stream", "cache-control": "no-cache", connection: "keep-alive" });
+      res.write(`data: ${JSON.stringify({ event: "hello", time: new Date().toISOString(), jobs: queue.list() })}\n\n`);
+      streams.add(res);
+      const keepalive = setInterval(() => res.write(": keepalive\n\n"), SSE_KEEPALIVE_MS);
+      req.on("close", () => { clearInterval(keepalive); streams.delete(res); });
+      return;
+    }
+    if (resource !== "jobs") return sendJson(res, 404, { error: "not found" });
+
+    if (!jobId) {
+      if (req.method === "GET") return sendJson(res, 200, { jobs: queue.list(), api: client.apiState() });
+      if (req.method === "POST") {
+        const body = await readBody(req);
+        try {
+          return sendJson(res, 201, queue.add(body));
+        } catch (e) {
+          return sendJson(res, 400, { error: e.message });
+        }
+      }
+      return sendJson(res, 405, { error: "method not allowed" });
+    }
+
+    const job = queue.get(jobId);
+    if (!job) return sendJson(res, 404, { error: `no job ${jobId}` });
+    if (action === "cancel" && req.method === "POST") return sendJson(res, 202, queue.cancel(jobId));
+    if (action) return sendJson(res, 404, { error: "not found" });
+    if (req.method === "GET") return sendJson(res, 200, job);
+    if (req.method === "PATCH") {
+      const body = await readBody(req);
+      try {
+        return sendJson(res, 200, queue.setPriority(jobId, body.priority));
+      } catch (e) {
+        return sendJson(res, 400, { error: e.message });
+      }
+    }
+    if (req.method === "DELETE") {
+      return queue.remove(jobId) ? sendJson(res, 200, { removed: job.id }) : sendJson(res, 409, { error: `job ${job.id} is ${job.state}; cancel it first` });
+    }
+    return sendJson(res, 405, { error: "method not allowed" });
+  }
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch((e) => {
+      log.debug(`API ${req.method} ${req.url}: ${e.message}`);
+      if (!res.headersSent) sendJson(res, e.status || 500, { error: e.message });
+      else res.end();
+    });
+  });
+  return server;
+}
@@ -0,0 +1,123 @@
+/**
+ * cin-dl : followed series (subscribe / sync).
+ *
+ * Subscriptions live next to the library in `<output>/.cin-dl-subscriptions.json`,
+ * each with its own quality/subtitle/season settings and the episode ids
+ * already downloaded.
+ */
+
+import fs from "fs";
+import path from "path";
+import { chooseBaseTitle, uniqStrings, writeJsonAtomic } from "./helpers.js";
+
+export const SUBSCRIPTIONS_FILE = ".cin-dl-subscriptions.json";
+
+/**
+ * @typedef {Object} Subscription
+ * @property {string} id            root series id
+ * @property {string|null} title
+ * @property {string} quality
+ * @property {string|null} subs
+ * @property {string} subsFormat
+ * @property {string[]} seasons     empty = all seasons
+ * @property {string} structure
+ * @property {string} addedAt
+ * @property {string|null} lastSync
+ * @property {string[]} downloaded  episode ids fetched so far
+ */
+
+export function loadSubscriptions(output) {
+  try { return JSON.parse(fs.readFileSync(path.join(output, SUBSCRIPTIONS_FILE), "utf8")); } catch { return { series: {} }; }
+}
+
+export function saveSubscriptions(output, store) {
+  writeJsonAtomic(path.join(output, SUBSCRIPTIONS_FILE), store);
+}
+
+/**
+ * Follow a series, or update the settings of one already followed.
+ * @param {ReturnType<typeof import("./client.js").createClient>} client
+ * @param {string} output
+ * @param {string} seriesId
+ * @param {{ quality: string, subs?: string|null, subsFormat: string, seasons?: string[], structure: string }} settings
+ * @returns {Promise<{ entry: Subscription, updated: boolean }>}
+ */
+export async function followSeries(client, output, seriesId, settings) {
+  const sid = String(seriesId);
+  let title = null;
+  try { title = chooseBaseTitle(await client.api.getAllVideoInfo(sid)); } catch {}
+  const store = loadSubscriptions(output);
+  const prev = store.series[sid];
+  const entry = {
+    id: sid,
+    title: title || prev?.title || null,
+    quality: settings.quality,
+    subs: settings.subs ?? null,
+    subsFormat: settings.subsFormat,
+    seasons: (settings.seasons || []).map(String),
+    structure: settings.structure,
+    addedAt: prev?.addedAt || new Date().toISOString(),
+    lastSync: prev?.lastSync ?? null,
+    downloaded: prev?.downloaded || []
+  };
+  store.series[sid] = entry;
+  saveSubscriptions(output, store);
+  return { entry, updated: !!prev };
+}
+
+/** @returns {boolean} false if the series wasn't followed */
+export function unfollowSeries(output, seriesId) {
+  const store = loadSubscriptions(output);
+  if (!store.series[String(seriesId)]) return false;
+  delete store.series[String(seriesId)];
+  saveSubscriptions(output, store);
+  return true;
+}
+
+/**
+ * Re-discover every followed series and download the episodes not fetched yet.
+ * @param {ReturnType<typeof import("./client.js").createClient>} client
+ * @param {string} output
+ * @param {{ signal?: AbortSignal, drainSignal?: AbortSignal }} [opts]
+ * @returns {Promise<import("./pipeline.js").ItemResult[]>}
+ */
+export async function syncSubscriptions(client, output, { signal, drainSignal } = {}) {
+  const log = client.log;
+  const subs = Object.values(loadSubscriptions(output).series);
+  if (subs.length === 0) {
+    log.warn("No followed series. Add one with: cin-dl subscribe add <seriesId>");
+    return [];
+  }
+
+  const all = [];
+  for (const sub of subs) {
+    if (signal?.aborted || drainSignal?.aborted) break;
+    // always re-discover: the series cache would hide new episodes
+    const found = await client.discoverSeries(sub.id, sub.seasons.length ? sub.seasons : null, { fresh: true });
+    const have = new Set(sub.downloaded);
+    const fresh = found.filter(id => !have.has(id));
+    log.info(`Series ${sub.id}${sub.title ? ` (${sub.title})` : ""}: ${found.length} episode(s), ${fresh.length} new.`);
+
+    const results = await client.download(fresh, {
+      output,
+      quality: sub.quality,
+      subs: sub.subs,
+      subsFormat: sub.subsFormat,
+      structure: sub.structure,
+      signal,
+      drainSignal
+    });
+    all.push(...results);
+    if (client.options.dryRun) continue;
+
+    // re-read so a concurrent "subscribe add/remove" isn't clobbered
+    const store = loadSubscriptions(output);
+    const entry = store.series[sub.id];
+    if (!entry) continue;
+    const done = results.filter(r => r.status === "ok").map(r => r.id);
+    entry.downloaded = uniqStrings([...entry.downloaded, ...done]);
+    entry.lastSync = new Date().toISOString();
+    saveSubscriptions(output, store);
+  }
+  return all;
+}
@@ -0,0 +1,196 @@
+/**
+ * cin-dl : subtitle processing.
+ *
+ * Server subtitles are decoded (UTF-8/UTF-16, else Windows-1256 by default),
+ * cleaned of styling tags and image junk, retimed, and written as UTF-8 SRT or
+ * VTT — whichever format was asked for, from whichever the server has.
+ */
+
+import fs from "fs";
+import { safeUnlink } from "./helpers.js";
+
+/**
+ * @typedef {Object} Cue
+ * @property {number} start  ms
+ * @property {number} end    ms
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} SubtitleProcessing
+ * @property {"srt"|"vtt"} format
+ * @property {string} [encoding]     used when the file isn't UTF-8/UTF-16 (default windows-1256)
+ * @property {boolean} [bom]         write a UTF-8 BOM
+ * @property {number} [offsetMs]     shift every cue (may be negative)
+ * @property {{ from: number, to: number }|null} [fps]  retime from one frame rate to another
+ */
+
+export const DEFAULT_SUBS_ENCODING = "windows-1256";
+
+const TIME_RE = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/;
+const ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&nbsp;": " ", "&lrm;": "\u200e", "&rlm;": "\u200f" };
+
+/** @returns {{ text: string, encoding: string }} */
+export function decodeSubtitle(buf, fallbackEncoding = DEFAULT_SUBS_ENCODING) {
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) return { text: buf.subarray(3).toString("utf8"), encoding: "utf-8" };
+  if (buf[0] === 0xff && buf[1] === 0xfe) return { text: new TextDecoder("utf-16le").decode(buf.subarray(2)), encoding: "utf-16le" };
+  if (buf[0] === 0xfe && buf[1] === 0xff) return { text: new TextDecoder("utf-16be").decode(buf.subarray(2)), encoding: "utf-16be" };
+  try {
+    return { text: new TextDecoder("utf-8", { fatal: true }).decode(buf), encoding: "utf-8" };
+  } catch {
+    return { text: new TextDecoder(fallbackEncoding).decode(buf), encoding: fallbackEncoding };
+  }
+}
+
+function parseTime(str) {
+  const m = String(str).match(TIME_RE);
+  if (!m) return null;
+  return ((Number(m[1] || 0) * 60 + Number(m[2])) * 60 + Number(m[3])) * 1000 + Number(m[4].padEnd(3, "0"));
+}
+
+/**
+ * SRT or VTT text → cues. Blocks without a timing line (headers, NOTE, STYLE,
+ * stray numbers) are skipped.
+ * @param {string} text
+ * @returns {Cue[]}
+ */
+export function parseSubtitle(text) {
+  const cues = [];
+  for (const block of text.replace(/\r\n?/g, "\n").split(/\n[ \t]*\n/)) {
+    const lines = block.split("\n");
+    const at = lines.findIndex(l => l.includes("-->"));
+    if (at < 0) continue;
+    const [from, to] = lines[at].split("-->");
+    const start = parseTime(from);
+    const end = parseTime(to);
+    if (start == null || end == null) continue;
+    cues.push({ start, end, text: lines.slice(at + 1).join("\n") });
+  }
+  return cues;
+}
+
+/* ---- styling tags, ASS overrides, inline timestamps and image junk (loading.gif etc.) ---- */
+export function cleanCueText(text) {
+  return text
+    .replace(/<img\b[^>]*>/gi, "")
+    .replace(/\{\\[^}]*\}/g, "")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(amp|lt|gt|nbsp|lrm|rlm);/g, (e) => ENTITIES[e])
+    .split("\n")
+    .map(l => l.trim())
+    .filter(l => l && !/^\S*\.(gif|png|jpe?g)(\?\S*)?$/i.test(l))
+    .join("\n");
+}
+
+/**
+ * Clean, retime (fps first, then offset) and sort; cues left empty or
+ * entirely before 0 are dropped.
+ * @param {Cue[]} cues
+ * @param {{ offsetMs?: number, fps?: { from: number, to: number }|null }} [timing]
+ * @returns {Cue[]}
+ */
+export function adjustCues(cues, { offsetMs = 0, fps = null } = {}) {
+  const scale = fps ? fps.from / fps.to : 1;
+  return cues
+    .map(c => ({
+      start: Math.max(0, Math.round(c.start * scale + offsetMs)),
+      end: Math.round(c.end * scale + offsetMs),
+      text: cleanCueText(c.text)
+    }))
+    .filter(c => c.text && c.end > 0)
+    .sort((a, b) => a.start - b.start);
+}
+
+function formatTime(ms, sep) {
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+export function formatSrt(cues) {
+  return cues.map((c, i) => `${i + 1}\n${formatTime(c.start, ",")} --> ${formatTime(c.end, ",")}\n${c.text}\n`).join("\n");
+}
+
+export function formatVtt(cues) {
+  return `WEBVTT\n\n${cues.map(c => `${formatTime(c.start, ".")} --> ${formatTime(c.end, ".")}\n${c.text}\n`).join("\n")}`;
+}
+
+/**
+ * Raw subtitle bytes (SRT or VTT, any supported encoding) → processed UTF-8 bytes.
+ * @param {Buffer} buf
+ * @param {SubtitleProcessing} opts
+ * @returns {Buffer}
+ */
+export function processSubtitle(buf, { format, encoding = DEFAULT_SUBS_ENCODING, bom = false, offsetMs = 0, fps = null }) {
+  const { text } = decodeSubtitle(buf, encoding);
+  const cues = adjustCues(parseSubtitle(text), { offsetMs, fps });
+  const out = format === "vtt" ? formatVtt(cues) : formatSrt(cues);
+  return Buffer.from(bom ? `\uFEFF${out}` : out, "utf8");
+}
+
+/* ---- "25:23.976" → { from: 25, to: 23.976 } ---- */
+export function parseFpsRatio(str) {
+  const m = String(str ?? "").trim().match(/^(\d+(?:\.\d+)?)\s*[:/]\s*(\d+(?:\.\d+)?)$/);
+  if (!m || !Number(m[1]) || !Number(m[2])) throw new Error(`Invalid frame-rate pair "${str}" (use e.g. 25:23.976)`);
+  return { from: Number(m[1]), to: Number(m[2]) };
+}
+
+/**
+ * One output per language and requested format; each names the server track
+ * to convert from (the same format if the server has it).
+ * @param {{ url: string, lang: string, ext: string }[]} tracks  see filterSubtitleTracks(…, "both")
+ * @param {"srt"|"vtt"|"both"} formatPref
+ * @returns {{ lang: string, ext: string, url: string, sourceExt: string }[]}
+ */
+export function planSubtitleFiles(tracks, formatPref) {
+  const formats = formatPref === "both" ? ["srt", "vtt"] : [formatPref];
+  const byLang = new Map();
+  for (const t of tracks) byLang.set(t.lang, [...(byLang.get(t.lang) || []), t]);
+  const out = [];
+  for (const [lang, list] of byLang) {
+    for (const ext of formats) {
+      const src = list.find(t => t.ext === ext) || list[0];
+      out.push({ lang, ext, url: src.url, sourceExt: src.ext });
+    }
+  }
+  return out;
+}
+
+/**
+ * Download a subtitle and write it processed to `filePath` (via `.part`).
+ * @param {ReturnType<typeof import("./download.js").createDownloader>} downloader
+ * @param {import("./download.js").UrlSource} source
+ * @param {string} filePath
+ * @param {SubtitleProcessing} processing
+ * @param {import("./download.js").DownloadOptions} [opts]
+ * @returns {Promise<{ size: number, etag: null }>}
+ */
+export async function downloadSubtitle(downloader, source, filePath, processing, opts = {}) {
+  const [facts] = await downloadSubtitles(downloader, source, [{ filePath, processing }], opts);
+  return facts;
+}
+
+/**
+ * Download a subtitle once and write every output made from it (e.g. the SRT
+ * and the VTT of --subs-format both).
+ * @param {ReturnType<typeof import("./download.js").createDownloader>} downloader
+ * @param {import("./download.js").UrlSource} source
+ * @param {{ filePath: string, processing: SubtitleProcessing }[]} outputs
+ * @param {import("./download.js").DownloadOptions} [opts]
+ * @returns {Promise<{ size: number, etag: null }[]>} in the order of `outputs`
+ */
+export async function downloadSubtitles(downloader, source, outputs, opts = {}) {
+  const raw = `${outputs[0].filePath}.src`;
+  await downloader.downloadWithRetry(source, raw, { ...opts, skipExisting: false, overwrite: true });
+  const buf = fs.readFileSync(raw);
+  const facts = outputs.map(({ filePath, processing }) => {
+    const out = processSubtitle(buf, processing);
+    fs.writeFileSync(`${filePath}.part`, out);
+    fs.renameSync(`${filePath}.part`, filePath);
+    return { size: out.length, etag: null };
+  });
+  safeUnlink(raw);
+  return facts;
+}
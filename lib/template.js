@@ -0,0 +1,202 @@
+/**
+ * cin-dl : file and folder name templates (--name-template, --dir-template).
+ *
+ *   {name}          a variable, e.g. {title}, {year}
+ *   {name:03}       zero-padded to 3 digits ("2" → "002", "01" → "001")
+ *   {name:upper}    also :lower
+ *   [...]           optional: left out when a variable inside it is empty;
+ *                   brackets with no variable inside are plain text
+ *   \{ \} \[ \]     literal characters
+ *
+ *   --dir-template "{show}[ ({year})][/Season {season:02}]"
+ *   --name-template "{show}[ - S{season:02}E{episode:02}][ - {episode_title}]"
+ *
+ * Values are sanitized before they are inserted, so a "/" in a title never
+ * makes a folder; in a dir template only the template's own "/" do. Each
+ * path component is sanitized again after rendering, and empty ones vanish.
+ */
+
+import path from "path";
+import sanitize from "sanitize-filename";
+
+/** @type {Record<string, string>} variable → what it holds, for --help and errors */
+export const TEMPLATE_VARS = {
+  title: "display title, Show.S01E02 for episodes",
+  show: "English title, else the Arabic one",
+  en_title: "English title",
+  ar_title: "Arabic title",
+  episode_title: "episode title (when the API has one)",
+  season: "season, 2 digits",
+  episode: "episode, 2 digits",
+  year: "release year",
+  id: "movie/episode id",
+  quality: "quality name, e.g. mp4-720",
+  resolution: "resolution, e.g. 720p",
+  lang: "subtitle language (subtitle files only)"
+};
+
+/**
+ * @typedef {{ type: "text", value: string }
+ *   | { type: "var", name: string, spec: string|null }
+ *   | { type: "optional", nodes: TemplateNode[] }} TemplateNode
+ */
+
+const goodSpec = (spec) => spec === null || /^0\d+$/.test(spec) || spec === "upper" || spec === "lower";
+
+const hasVar = (nodes) => nodes.some(n => n.type === "var" || (n.type === "optional" && hasVar(n.nodes)));
+
+/**
+ * Parse a template. Brackets without a variable inside, and unbalanced ones,
+ * stay plain text, so names from before optional parts still come out the same.
+ * @param {string} tpl
+ * @param {{ strict?: boolean }} [opts]  strict: throw on an unknown variable or bad format
+ *                                       (checkTemplate); otherwise they are kept as text
+ * @returns {TemplateNode[]}
+ */
+export function parseTemplate(tpl, { strict = false } = {}) {
+  const src = String(tpl);
+  let i = 0;
+  /* ---- nodes up to the "]" closing an optional part (closed: true) or the end ---- */
+  function nodes(inOptional) {
+    const out = [];
+    let text = "";
+    const flush = () => { if (text) out.push({ type: "text", value: text }); text = ""; };
+    while (i < src.length) {
+      const c = src[i];
+      if (c === "\\" && i + 1 < src.length) {
+        text += src[i + 1];
+        i += 2;
+      } else if (c === "{" && src.indexOf("}", i) > 0) {
+        const end = src.indexOf("}", i);
+        const [name, spec = null] = src.slice(i + 1, end).split(":");
+        const known = Object.hasOwn(TEMPLATE_VARS, name);
+        if (strict && !known) {
+          throw new Error(`Unknown variable {${name}} in template "${src}" (have: ${Object.keys(TEMPLATE_VARS).join(", ")})`);
+        }
+        if (strict && !goodSpec(spec)) {
+          throw new Error(`Bad format ":${spec}" in template "${src}" (use e.g. :03, :upper, :lower)`);
+        }
+        if (known && goodSpec(spec)) {
+          flush();
+          out.push({ type: "var", name, spec });
+        } else {
+          text += src.slice(i, end + 1);
+        }
+        i = end + 1;
+      } else if (c === "[") {
+        const open = i++;
+        const inner = nodes(true);
+        if (!inner.closed) {
+          // no matching "]": a plain "[" after all
+          i = open + 1;
+          text += "[";
+        } else if (hasVar(inner.nodes)) {
+          flush();
+          out.push({ type: "optional", nodes: inner.nodes });
+        } else {
+          text += `[${inner.nodes.map(n => n.value).join("")}]`;
+        }
+      } else if (c === "]" && inOptional) {
+        i++;
+        flush();
+        return { nodes: out, closed: true };
+      } else {
+        text += c;
+        i++;
+      }
+    }
+    flush();
+    return { nodes: out, closed: false };
+  }
+  return nodes(false).nodes;
+}
+
+function format(value, spec) {
+  const s = String(value);
+  if (!spec) return s;
+  if (spec === "upper") return s.toUpperCase();
+  if (spec === "lower") return s.toLowerCase();
+  const n = /^\d+$/.test(s) ? String(Number(s)) : s;
+  return n.padStart(Number(spec.slice(1)), "0");
+}
+
+/* ---- { text, missing }: missing = a variable directly in these nodes was empty ---- */
+function renderNodes(nodes, vars, clean) {
+  let text = "";
+  let missing = false;
+  for (const n of nodes) {
+    if (n.type === "text") {
+      text += n.value;
+    } else if (n.type === "var") {
+      const v = vars[n.name];
+      const s = v == null ? "" : clean(String(v).trim());
+      if (!s) missing = true;
+      else text += format(s, n.spec);
+    } else {
+      const inner = renderNodes(n.nodes, vars, clean);
+      if (!inner.missing) text += inner.text;
+    }
+  }
+  return { text, missing };
+}
+
+/**
+ * Fill a template; values are inserted as they are.
+ * @param {string} tpl
+ * @param {Record<string, string|number|null|undefined>} vars
+ */
+export function renderTemplate(tpl, vars) {
+  return renderNodes(parseTemplate(tpl), vars, (s) => s).text;
+}
+
+/* ---- one path component; "" when nothing usable is left (".." included) ---- */
+function cleanComponent(s) {
+  return sanitize(s.trim()).trim();
+}
+
+/**
+ * A file name (without extension) from --name-template.
+ * @param {string} tpl
+ * @param {Record<string, string|number|null|undefined>} vars
+ */
+export function renderFileName(tpl, vars) {
+  return cleanComponent(renderNodes(parseTemplate(tpl), vars, sanitize).text);
+}
+
+/**
+ * A relative folder from --dir-template; "" when every component is empty.
+ * @param {string} tpl
+ * @param {Record<string, string|number|null|undefined>} vars
+ */
+export function renderDirPath(tpl, vars) {
+  const parts = renderNodes(parseTemplate(tpl), vars, sanitize).text.split("/").map(cleanComponent).filter(Boolean);
+  return parts.length ? path.join(...parts) : "";
+}
+
+/** @returns {Set<string>} the variables a template uses */
+export function templateVariables(tpl) {
+  const names = new Set();
+  const walk = (nodes) => {
+    for (const n of nodes) {
+      if (n.type === "var") names.add(n.name);
+      else if (n.type === "optional") walk(n.nodes);
+    }
+  };
+  walk(parseTemplate(tpl));
+  return names;
+}
+
+/**
+ * Throw if a template can't be used (unknown variable, bad format). Run once
+ * at startup; rendering never throws and keeps such parts as text.
+ * @param {string} tpl
+ * @param {"name"|"dir"} kind
+ * @returns {string} tpl
+ */
+export function checkTemplate(tpl, kind = "name") {
+  parseTemplate(tpl, { strict: true });
+  if (kind === "name" && String(tpl).replace(/\\./g, "").includes("/")) {
+    throw new Error(`--name-template can't contain "/" ("${tpl}"); put folders in --dir-template`);
+  }
+  return tpl;
+}
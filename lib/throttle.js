@@ -0,0 +1,103 @@
+/**
+ * cin-dl : global bandwidth limit.
+ *
+ * One token bucket is shared by every stream the downloader opens (videos,
+ * segments, subtitles), so `--limit-rate` caps the whole run, not each file.
+ * The rate can follow a daily schedule, e.g. "2M,00:00-07:00=unlimited".
+ */
+
+import { Transform } from "stream";
+import prettyBytes from "pretty-bytes";
+import { parseRate } from "./helpers.js";
+import { silentLogger } from "./log.js";
+
+// idle time that may be caught up with a burst
+const BURST_MS = 1000;
+
+/**
+ * @typedef {Object} RateSchedule
+ * @property {number} base  bytes/s outside any window; 0 = unlimited
+ * @property {{ from: number, to: number, rate: number }[]} windows  minutes since midnight (local time)
+ */
+
+function parseClock(str, spec) {
+  const m = String(str).match(/^(\d{1,2}):(\d{2})$/);
+  // 24:00 is the end of the day; any other time past 23:59 isn't one
+  const valid = m && Number(m[2]) <= 59 && (Number(m[1]) <= 23 || (Number(m[1]) === 24 && Number(m[2]) === 0));
+  if (!valid) throw new Error(`Invalid time "${str}" in rate schedule "${spec}"`);
+  return Number(m[1]) * 60 + Number(m[2]);
+}
+
+/**
+ * "5M" or "2M,00:00-07:00=unlimited,12:00-13:00=8M" → RateSchedule.
+ * Windows may wrap midnight (22:00-06:00); the first matching one wins.
+ * @param {string|number|null|undefined} spec
+ * @returns {RateSchedule}
+ */
+export function parseRateSchedule(spec) {
+  const schedule = { base: 0, windows: [] };
+  if (spec == null || spec === "") return schedule;
+  for (const part of String(spec).split(",").map(s => s.trim()).filter(Boolean)) {
+    const m = part.match(/^(\S+)-(\S+?)\s*=\s*(.+)$/);
+    if (!m) {
+      schedule.base = parseRate(part);
+      continue;
+    }
+    schedule.windows.push({ from: parseClock(m[1], spec), to: parseClock(m[2], spec), rate: parseRate(m[3]) });
+  }
+  return schedule;
+}
+
+/** @returns {number} bytes/s in effect at `date`; 0 = unlimited */
+export function rateAt(schedule, date = new Date()) {
+  const now = date.getHours() * 60 + date.getMinutes();
+  const win = schedule.windows.find(({ from, to }) => from <= to ? now >= from && now < to : now >= from || now < to);
+  return win ? win.rate : schedule.base;
+}
+
+export function describeRate(rate) {
+  return rate ? `${prettyBytes(rate, { binary: true })}/s` : "unlimited";
+}
+
+/**
+ * @param {string|number|null} spec  see parseRateSchedule
+ * @param {{ log?: import("./log.js").Logger }} [deps]
+ */
+export function createRateLimiter(spec, { log = silentLogger } = {}) {
+  const schedule = parseRateSchedule(spec);
+  const limited = schedule.base > 0 || schedule.windows.some(w => w.rate > 0);
+  let current = null;
+  let nextFree = 0; // virtual time at which the bucket is empty again
+
+  function currentRate() {
+    const rate = rateAt(schedule);
+    if (rate !== current) {
+      if (current !== null) log.info(`Bandwidth limit is now ${describeRate(rate)}.`);
+      current = rate;
+      nextFree = 0;
+    }
+    return rate;
+  }
+
+  /* ---- ms to wait before `bytes` more may pass ---- */
+  function reserve(bytes) {
+    const rate = currentRate();
+    if (!rate) return 0;
+    const now = Date.now();
+    nextFree = Math.max(nextFree, now - BURST_MS) + (bytes / rate) * 1000;
+    return Math.max(0, nextFree - now);
+  }
+
+  /** A pass-through stream that holds each chunk back until the bucket allows it. */
+  function stream() {
+    return new Transform({
+      transform(chunk, _enc, done) {
+        const wait = reserve(chunk.length);
+        if (wait > 0) setTimeout(() => done(null, chunk), wait);
+        else done(null, chunk);
+      }
+    });
+  }
+
+  return { limited, schedule, currentRate, stream };
+}
@@ -0,0 +1,161 @@
+/**
+ * cin-dl : library verification (`verify <dir>`).
+ *
+ * Every downloaded title leaves a sidecar `<name>.json` next to its files; it
+ * records the id, the chosen quality and the size/ETag of each file, which is
+ * enough to re-check a library against the server and repair it.
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileSize, filterSubtitleTracks, writeJsonAtomic } from "./helpers.js";
+import { downloadSubtitle } from "./subtitles.js";
+
+/**
+ * @typedef {Object} VerifyResult
+ * @property {string} id
+ * @property {string} path
+ * @property {"video"|"subtitle"|"muxed"} kind
+ * @property {"ok"|"unverified"|"mismatch"|"missing"|"repaired"|"error"} status
+ * @property {string[]} reasons
+ */
+
+/** @returns {object|null} the sidecar metadata, or null if `fp` isn't one */
+export function readSidecar(fp) {
+  try {
+    const meta = JSON.parse(fs.readFileSync(fp, "utf8"));
+    return meta && meta.id != null && meta.videoPath ? meta : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ---- every sidecar under `dir`; dot-folders (sessions etc.) are skipped ---- */
+function findSidecars(dir) {
+  const out = [];
+  for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (ent.name.startsWith(".")) continue;
+    const fp = path.join(dir, ent.name);
+    if (ent.isDirectory()) out.push(...findSidecars(fp));
+    else if (ent.name.endsWith(".json") && !ent.name.endsWith(".part.segments.json")) out.push(fp);
+  }
+  return out;
+}
+
+/* ---- [name, entry] pairs a sidecar accounts for; old sidecars only know the video ---- */
+function sidecarFiles(meta) {
+  if (meta.files && Object.keys(meta.files).length) return Object.entries(meta.files);
+  return [[path.basename(meta.videoPath), { kind: "video", size: null, etag: null }]];
+}
+
+/**
+ * Re-check every title under `dir` against its sidecar and the server; with
+ * `repair`, mismatched or missing files are resumed or downloaded again.
+ * Emits "verify" (a VerifyResult) per file.
+ * @param {{
+ *   api: ReturnType<typeof import("./api.js").createApi>,
+ *   log: import("./log.js").Logger,
+ *   downloader: ReturnType<typeof import("./download.js").createDownloader>,
+ *   emit: (event: string, payload: object) => void,
+ *   ffmpeg?: string
+ * }} ctx
+ * @param {string} dir
+ * @param {{ repair?: boolean, signal?: AbortSignal }} [opts]
+ * @returns {Promise<VerifyResult[]>}
+ */
+export async function verifyLibrary(ctx, dir, { repair = false, signal } = {}) {
+  const { api, log, downloader, emit, ffmpeg = "ffmpeg" } = ctx;
+  const results = [];
+
+  for (const sidecarPath of findSidecars(dir)) {
+    if (signal?.aborted) break;
+    const meta = readSidecar(sidecarPath);
+    if (!meta) continue;
+    const id = String(meta.id);
+    const base = path.dirname(sidecarPath); // the folder may have moved since
+    const chosen = meta.api?.chosenQuality || {};
+
+    const videoUrl = async () => {
+      const qualities = await api.getTranscodedFiles(id);
+      return qualities.find(q => q?.name === chosen.name && q?.resolution === chosen.resolution)?.videoUrl || null;
+    };
+    const subtitleUrl = async (lang, ext) => {
+      const resp = await api.getTranslationFiles(id);
+      const tracks = Array.isArray(resp?.translations) ? resp.translations : [];
+      return filterSubtitleTracks(tracks, lang, "both").find(x => x.ext === ext)?.url || null;
+    };
+
+    let dirty = false;
+    const record = (name, f, facts) => {
+      meta.files = { ...meta.files, [name]: { ...f, size: facts.size, etag: facts.etag } };
+      dirty = true;
+    };
+    for (const [name, f] of sidecarFiles(meta)) {
+      if (signal?.aborted) break;
+      const fp = path.join(base, name);
+      const expected = { size: f.size ?? null, etag: f.etag ?? null };
+      const result = { id, path: fp, kind: f.kind, status: "ok", reasons: [] };
+      if (f.kind === "muxed") {
+        // built locally, so there is nothing to fetch it from again
+        if (!fs.existsSync(fp)) result.status = "missing";
+        else if (f.size != null && fileSize(fp) !== f.size) result.status = "mismatch";
+        if (result.status !== "ok") result.reasons = ["re-download the title with --mux-subs to rebuild it"];
+        results.push(result);
+        emit("verify", result);
+        continue;
+      }
+      try {
+        const ext = path.extname(name).slice(1);
+        const refetch = f.kind === "video" ? videoUrl : () => subtitleUrl(f.lang, f.processed?.from || ext);
+        const url = await refetch();
+        if (!url) throw new Error(`no ${f.kind === "video" ? `"${chosen.name}" video` : `${f.lang} subtitle`} URL for ${id} anymore`);
+        const source = downloader.refreshableUrl(url, `${id} ${f.kind}`, refetch);
+
+        if (!fs.existsSync(fp)) {
+          result.status = "missing";
+        } else if (f.processed) {
+          // converted subtitles only have the sidecar to go by
+          if (f.size != null && fileSize(fp) !== f.size) {
+            result.status = "mismatch";
+            result.reasons = [`sidecar says ${f.size} bytes`];
+          }
+        } else {
+          const check = await downloader.checkExisting(source, fp, { expected, signal });
+          result.reasons = check.reasons;
+          if (check.action !== "keep") result.status = "mismatch";
+          else if (!check.probed) result.status = "unverified";
+          else if (check.etag !== expected.etag || check.size !== expected.size) {
+            // sidecars written before sizes were recorded get filled in
+            record(name, f, check);
+          }
+        }
+
+        if (repair && (result.status === "mismatch" || result.status === "missing")) {
+          log.info(`Repairing ${path.basename(fp)}...`);
+          const facts = f.processed ? { status: "downloaded", ...await downloadSubtitle(downloader, source, fp, { format: ext, ...f.processed }, { signal }) } : await downloader.downloadWithRetry(source, fp, {
+            skipExisting: true,
+            expected,
+            quality: meta.quality,
+            ffmpeg: path.extname(name) === ".ts" ? null : ffmpeg, // HLS: keep the container it had
+            signal,
+            onProgress: ({ downloaded, total }) => emit("progress", { id, path: fp, downloaded, total })
+          });
+          record(name, f, facts);
+          result.status = "repaired";
+          emit("file-done", { id, kind: f.kind, lang: f.lang, path: fp, status: facts.status });
+        }
+      } catch (e) {
+        if (signal?.aborted) break;
+        result.status = "error";
+        result.reasons = [e.message];
+      }
+      results.push(result);
+      emit("verify", result);
+    }
+
+    if (dirty) {
+      try { writeJsonAtomic(sidecarPath, meta); } catch (e) { log.warn(`Failed to update ${sidecarPath}: ${e.message}`); }
+    }
+  }
+  return results;
+}
@@ -0,0 +1,20 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseContentRange } from "../lib/helpers.js";
+
+test("parseContentRange reads a satisfied range", () => {
+  assert.deepEqual(parseContentRange("bytes 100-199/1000"), { start: 100, end: 199, total: 1000 });
+  assert.deepEqual(parseContentRange("bytes 0-0/1234"), { start: 0, end: 0, total: 1234 });
+});
+
+test("parseContentRange reads the total of a 416 and an unknown total", () => {
+  assert.deepEqual(parseContentRange("bytes */1234"), { start: null, end: null, total: 1234 });
+  assert.deepEqual(parseContentRange("bytes 5-9/*"), { start: 5, end: 9, total: null });
+});
+
+test("parseContentRange returns null for anything else", () => {
+  assert.equal(parseContentRange(undefined), null);
+  assert.equal(parseContentRange(""), null);
+  assert.equal(parseContentRange("items 0-9/10"), null);
+  assert.equal(parseContentRange("bytes 5-/10"), null);
+});
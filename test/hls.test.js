@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parsePlaylist } from "../lib/hls.js";
+
+const BASE = "https://cdn.example/v/master.m3u8?sig=1";
+
+test("parsePlaylist: master playlist variants, resolved against the base URL", () => {
+  const pl = parsePlaylist([
+    "#EXTM3U",
+    '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=854x480,CODECS="avc1,mp4a",NAME="480"',
+    "480/index.m3u8",
+    "#EXT-X-STREAM-INF:BANDWIDTH=2400000,RESOLUTION=1280x720",
+    "https://other.example/720.m3u8"
+  ].join("\n"), BASE);
+  assert.deepEqual(pl.variants, [
+    { uri: "https://cdn.example/v/480/index.m3u8", bandwidth: 800000, height: 480, name: "480" },
+    { uri: "https://other.example/720.m3u8", bandwidth: 2400000, height: 720, name: null }
+  ]);
+  assert.deepEqual(pl.segments, []);
+});
+
+test("parsePlaylist: AES-128 segments get the key URI and an IV from the media sequence", () => {
+  const pl = parsePlaylist([
+    "#EXTM3U",
+    "#EXT-X-MEDIA-SEQUENCE:7",
+    '#EXT-X-MAP:URI="init.mp4"',
+    "#EXTINF:4,",
+    "s0.ts",
+    '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+    "#EXTINF:4,",
+    "s1.ts",
+    '#EXT-X-KEY:METHOD=AES-128,URI="key2.bin",IV=0x0000000000000000000000000000000a',
+    "#EXTINF:4,",
+    "s2.ts",
+    "#EXT-X-KEY:METHOD=NONE",
+    "#EXTINF:4,",
+    "s3.ts"
+  ].join("\r\n"), BASE);
+  assert.deepEqual(pl.map, { uri: "https://cdn.example/v/init.mp4" });
+  assert.deepEqual(pl.segments.map(s => s.uri), ["s0.ts", "s1.ts", "s2.ts", "s3.ts"].map(s => `https://cdn.example/v/${s}`));
+  assert.equal(pl.segments[0].key, null);
+  assert.equal(pl.segments[1].key.uri, "https://cdn.example/v/key.bin");
+  assert.equal(pl.segments[1].key.iv.toString("hex"), "00000000000000000000000000000008");
+  assert.equal(pl.segments[2].key.iv.toString("hex"), "0000000000000000000000000000000a");
+  assert.equal(pl.segments[3].key, null);
+});
+
+test("parsePlaylist rejects what it can't download", () => {
+  const parse = (...lines) => () => parsePlaylist(["#EXTM3U", ...lines, "#EXTINF:4,", "s0.ts"].join("\n"), BASE);
+  assert.throws(() => parsePlaylist("<html></html>", BASE), { code: "BAD_PLAYLIST" });
+  assert.throws(parse('#EXT-X-KEY:METHOD=SAMPLE-AES,URI="k"'), { code: "UNSUPPORTED_HLS" });
+  assert.throws(parse("#EXT-X-KEY:METHOD=AES-128"), { code: "BAD_PLAYLIST" });
+  assert.throws(parse("#EXT-X-BYTERANGE:1000@0"), { code: "UNSUPPORTED_HLS" });
+});
@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, test } from "node:test";
+import { createApi } from "../lib/api.js";
+import { createCache } from "../lib/cache.js";
+import { silentLogger } from "../lib/log.js";
+import { artworkUrls, writeNfoMetadata } from "../lib/nfo.js";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "cin-dl-nfo-"));
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// artwork links are signed like the real ones, so the cache strips them
+const signed = (name) => `https://img.example/${name}.jpg?Expires=${Math.floor(Date.now() / 1000) + 3600}&Signature=abc`;
+const INFO = {
+  100: { nb: "100", kind: "1", en_title: "Film", year: "2020", imgObjUrl: signed("film-poster"), imgBackgroundObjUrl: signed("film-fanart") },
+  300: { nb: "300", kind: "2", en_title: "Show", imgObjUrl: signed("show-poster"), imgBackgroundObjUrl: signed("show-fanart") },
+  301: { nb: "301", kind: "2", en_title: "Show", rootSeries: "300", season: "1", episodeNummer: "2", imgThumbObjUrl: signed("ep-thumb") }
+};
+
+/* ---- one run: a fresh api on the shared cache file, artwork "downloaded" as its bare URL ---- */
+function run() {
+  const cache = createCache({ path: path.join(tmp, "cache.json") });
+  // the api doesn't wait for the cache file; the test does
+  const writes = [];
+  const set = cache.set;
+  cache.set = (...args) => { const done = set(...args); writes.push(done); return done; };
+  const http = { get: async (url) => ({ data: structuredClone(INFO[url.split("/").pop()]) }) };
+  const downloader = {
+    downloadWithRetry: async (url, fp) => {
+      fs.writeFileSync(fp, url.split("?")[0]);
+      return { status: "downloaded", size: null, etag: null };
+    }
+  };
+  return { cache, writes, api: createApi(http, { cache }), downloader, log: silentLogger };
+}
+
+/* ---- every file below `dir` → its content ---- */
+function snapshot(dir) {
+  const out = {};
+  for (const name of fs.readdirSync(dir, { recursive: true })) {
+    const fp = path.join(dir, name);
+    if (fs.statSync(fp).isFile()) out[name] = fs.readFileSync(fp, "utf8");
+  }
+  return out;
+}
+
+async function writeTitle(ctx, id, dir) {
+  const info = await ctx.api.getAllVideoInfo(id);
+  const isEpisode = id === "301";
+  fs.mkdirSync(path.join(dir, "Season 01"), { recursive: true });
+  await writeNfoMetadata(ctx, id, info, {
+    dir: isEpisode ? path.join(dir, "Season 01") : dir,
+    nameCore: isEpisode ? "Show.S01E02" : "Film",
+    ownFolder: !isEpisode,
+    showDir: isEpisode ? dir : null
+  });
+}
+
+for (const [label, id] of [["movie", "100"], ["episode", "301"]]) {
+  test(`a warm-cache run writes the same NFO and artwork as a cold one (${label})`, async () => {
+    const cold = run();
+    await writeTitle(cold, id, path.join(tmp, label, "cold"));
+    await Promise.all(cold.writes);
+
+    const warm = run();
+    const cached = warm.cache.get("allVideoInfo", id);
+    assert.ok(cached, "the second run reads the title from the cache");
+    assert.deepEqual(artworkUrls(cached), { poster: null, fanart: null, thumb: null });
+    await writeTitle(warm, id, path.join(tmp, label, "warm"));
+
+    const before = snapshot(path.join(tmp, label, "cold"));
+    assert.ok(Object.keys(before).some(name => /poster|thumb/.test(name)), "the cold run wrote artwork");
+    assert.deepEqual(snapshot(path.join(tmp, label, "warm")), before);
+  });
+}
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseQualitySelector, pickQuality } from "../lib/quality.js";
+
+const q = (name, resolution, ext = "mp4") => ({ name, resolution, videoUrl: `https://cdn.example/${name}.${ext}` });
+const QUALITIES = [q("mp4-360", "360p"), q("mp4-720", "720p"), q("mp4-1080", "1080p"), q("hls-480", "480p", "m3u8")];
+const names = (picked) => picked?.name ?? null;
+
+test("pickQuality: names, heights, best and worst", () => {
+  assert.equal(names(pickQuality(QUALITIES, "mp4-720")), "mp4-720");
+  assert.equal(names(pickQuality(QUALITIES, "480p")), "hls-480");
+  assert.equal(names(pickQuality(QUALITIES, "best")), "mp4-1080");
+  assert.equal(names(pickQuality(QUALITIES, "worst")), "mp4-360");
+  assert.equal(names(pickQuality(QUALITIES, "")), "mp4-1080");
+});
+
+test("pickQuality: fallbacks and filters", () => {
+  assert.equal(names(pickQuality(QUALITIES, "2160p/720p/best")), "mp4-720");
+  assert.equal(names(pickQuality(QUALITIES, "best[height<=720]")), "mp4-720");
+  assert.equal(names(pickQuality(QUALITIES, "best[ext=m3u8]")), "hls-480");
+  assert.equal(names(pickQuality(QUALITIES, "worst[height>360][ext!=m3u8]")), "mp4-720");
+  assert.equal(pickQuality(QUALITIES, "2160p"), null);
+  assert.equal(pickQuality([], "best"), null);
+});
+
+test("pickQuality: a bare name that isn't there falls back to the best entry", () => {
+  assert.equal(names(pickQuality(QUALITIES, "mp4-2160")), "mp4-1080");
+  // an explicit chain means what it says
+  assert.equal(pickQuality(QUALITIES, "mp4-2160/2160p"), null);
+});
+
+test("pickQuality: --max-filesize skips larger entries, unknown sizes pass", () => {
+  const sizes = new Map([[QUALITIES[2].videoUrl, 3e9], [QUALITIES[1].videoUrl, 1e9]]);
+  assert.equal(names(pickQuality(QUALITIES, "best[ext=mp4]", { maxFilesize: 2e9, sizes })), "mp4-720");
+  assert.equal(names(pickQuality(QUALITIES, "best[size<500M]", { sizes })), null);
+  assert.equal(names(pickQuality(QUALITIES, "best", { maxFilesize: 2e9, sizes })), "mp4-720");
+});
+
+test("parseQualitySelector rejects bad filters", () => {
+  assert.throws(() => parseQualitySelector("best[fps>30]"), /Invalid quality filter/);
+  assert.throws(() => parseQualitySelector("best[height<=abc]"), /Invalid quality filter/);
+});
@@ -0,0 +1,48 @@
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { after, before, test } from "node:test";
+import { createApiServer } from "../lib/server.js";
+
+const TOKEN = "s3cret";
+let server;
+let base;
+
+before(async () => {
+  const client = Object.assign(new EventEmitter(), { apiState: () => ({}) });
+  const queue = { events: new EventEmitter(), current: null, list: () => [], get: () => null };
+  server = createApiServer(client, queue, { token: TOKEN });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/* ---- status of a request; an event stream is closed as soon as it answers ---- */
+async function status(path, { method = "GET", auth } = {}) {
+  const res = await fetch(`${base}${path}`, { method, headers: auth ? { authorization: auth } : {} });
+  await res.body?.cancel();
+  return res.status;
+}
+
+test("the bearer token opens every endpoint", async () => {
+  assert.equal(await status("/api/jobs", { auth: `Bearer ${TOKEN}` }), 200);
+  assert.equal(await status("/api/events", { auth: `Bearer ${TOKEN}` }), 200);
+});
+
+test("a missing, wrong or differently sized token is refused", async () => {
+  assert.equal(await status("/api/jobs"), 401);
+  assert.equal(await status("/api/jobs", { auth: "Bearer s3creT" }), 401);
+  assert.equal(await status("/api/jobs", { auth: `Bearer ${TOKEN}${TOKEN}` }), 401);
+  assert.equal(await status("/api/jobs", { auth: TOKEN }), 401);
+});
+
+test("?token= is only taken by GET /api/events", async () => {
+  assert.equal(await status(`/api/events?token=${TOKEN}`), 200);
+  assert.equal(await status(`/api/events/?token=${TOKEN}`), 200);
+  assert.equal(await status("/api/events?token=nope"), 401);
+  assert.equal(await status(`/api/jobs?token=${TOKEN}`), 401);
+  assert.equal(await status(`/api/jobs?token=${TOKEN}`, { method: "POST" }), 401);
+});
@@ -0,0 +1,42 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkTemplate, renderDirPath, renderFileName, renderTemplate } from "../lib/template.js";
+
+const movie = { title: "Film", show: "Film", year: "2020", quality: "mp4-720", season: "", episode: "" };
+const episode = { title: "Show.S01E02", show: "Show", season: "1", episode: "2", episode_title: "", quality: "mp4-480" };
+
+test("renderTemplate fills variables and formats", () => {
+  assert.equal(renderTemplate("{title}.{quality}", movie), "Film.mp4-720");
+  assert.equal(renderTemplate("{show} S{season:02}E{episode:03}", episode), "Show S01E002");
+  assert.equal(renderTemplate("{show:upper}-{quality:lower}", { show: "Show", quality: "MP4-480" }), "SHOW-mp4-480");
+});
+
+test("renderTemplate drops an optional part whose variable is empty", () => {
+  const tpl = "{show}[ - S{season:02}E{episode:02}][ - {episode_title}]";
+  assert.equal(renderTemplate(tpl, episode), "Show - S01E02");
+  assert.equal(renderTemplate(tpl, movie), "Film");
+  assert.equal(renderTemplate("{show}[ ({year})]", movie), "Film (2020)");
+});
+
+test("renderTemplate keeps brackets without a variable, and escaped ones, as text", () => {
+  assert.equal(renderTemplate("{title} [1080p]", movie), "Film [1080p]");
+  assert.equal(renderTemplate("{title} [x] [{year}]", movie), "Film [x] 2020");
+  assert.equal(renderTemplate("{title} \\[{quality}\\]", movie), "Film [mp4-720]");
+  assert.equal(renderTemplate("a [b ] c]", movie), "a [b ] c]");
+  assert.equal(renderTemplate("{title} [", movie), "Film [");
+});
+
+test("renderTemplate never throws on an unknown variable; checkTemplate does", () => {
+  assert.equal(renderTemplate("{title}.{foo}", movie), "Film.{foo}");
+  assert.throws(() => checkTemplate("{title}.{foo}"), /Unknown variable \{foo\}/);
+  assert.throws(() => checkTemplate("{title:bad}"), /Bad format/);
+  assert.throws(() => checkTemplate("{show}/{title}", "name"), /can't contain "\/"/);
+  assert.equal(checkTemplate("{show}/Season {season:02}", "dir"), "{show}/Season {season:02}");
+  assert.equal(checkTemplate("{title} [1080p]"), "{title} [1080p]");
+});
+
+test("values are made safe for the file system", () => {
+  assert.equal(renderFileName("{title}", { title: "AC/DC: Live?" }), "ACDC Live");
+  assert.equal(renderDirPath("{show}[/Season {season:02}]", { show: "A/B", season: "3" }), "AB/Season 03");
+  assert.equal(renderDirPath("{show}[/Season {season:02}]", { show: "..", season: "" }), "");
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parseRateSchedule, rateAt } from "../lib/throttle.js";
+
+const at = (h, m = 0) => new Date(2026, 0, 1, h, m);
+
+test("parseRateSchedule: nothing or a bare rate", () => {
+  assert.deepEqual(parseRateSchedule(""), { base: 0, windows: [] });
+  assert.deepEqual(parseRateSchedule(null), { base: 0, windows: [] });
+  assert.deepEqual(parseRateSchedule("5M"), { base: 5 * 1024 ** 2, windows: [] });
+});
+
+test("parseRateSchedule: windows in minutes since midnight", () => {
+  assert.deepEqual(parseRateSchedule("2M,00:00-07:00=unlimited,12:00-13:00=8M"), {
+    base: 2 * 1024 ** 2,
+    windows: [
+      { from: 0, to: 420, rate: 0 },
+      { from: 720, to: 780, rate: 8 * 1024 ** 2 }
+    ]
+  });
+  assert.deepEqual(parseRateSchedule("1M,18:00-24:00=500K").windows, [{ from: 1080, to: 1440, rate: 500 * 1024 }]);
+});
+
+test("parseRateSchedule rejects times that aren't on a clock", () => {
+  for (const bad of ["25:00", "24:30", "12:60", "7", "noon"]) {
+    assert.throws(() => parseRateSchedule(`1M,${bad}-23:00=2M`), /Invalid time/);
+  }
+});
+
+test("rateAt: first matching window, wrapping midnight, else the base", () => {
+  const schedule = parseRateSchedule("2M,22:00-02:00=500K,01:00-03:00=1M");
+  assert.equal(rateAt(schedule, at(23)), 500 * 1024);
+  assert.equal(rateAt(schedule, at(1, 30)), 500 * 1024);
+  assert.equal(rateAt(schedule, at(2, 30)), 1024 ** 2);
+  assert.equal(rateAt(schedule, at(12)), 2 * 1024 ** 2);
+});